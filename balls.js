@@ -0,0 +1,18 @@
+// --- SPORTS BALLS ---
+// Regulation mass, size and drag for the balls in the ball picker, with a
+// typical shot for each: launch speed, angle and spin (positive rpm is backspin).
+
+// mass in kg, area (cross-section) in m², cd at match speeds
+export const BALLS = [
+    { id: 'soccer', name: 'Soccer ball', mass: 0.43, area: 0.038, cd: 0.25, shot: { v0: 25, angle: 20, spin: 600 } },
+    { id: 'baseball', name: 'Baseball', mass: 0.145, area: 0.00427, cd: 0.35, shot: { v0: 45, angle: 28, spin: 2000 } },
+    { id: 'golf', name: 'Golf ball', mass: 0.0459, area: 0.00143, cd: 0.25, shot: { v0: 70, angle: 11, spin: 2700 } },
+    { id: 'tennis', name: 'Tennis ball', mass: 0.057, area: 0.00353, cd: 0.55, shot: { v0: 30, angle: 15, spin: -2500 } }
+];
+
+// Whatever is on the drag controls
+export const CUSTOM_BALL = { id: 'custom', name: 'Custom' };
+
+export function findBall(id) {
+    return BALLS.find(ball => ball.id === id) || CUSTOM_BALL;
+}
@@ -0,0 +1,139 @@
+// --- TARGET CHALLENGE ---
+// Random targets, hit detection and scoring against a simulated trajectory.
+
+import { groundHeight, normalizeTerrain, simulate, stateAtX } from './physics.js';
+
+export const TARGET_TYPES = ['point', 'wall', 'platform'];
+
+const MAX_POINTS = 100;
+const POINTS_LOST_PER_MISS = 25;
+const MIN_POINTS = 10;
+const MAX_TARGET_TRIES = 50;
+
+/**
+ * Random target of the given type inside the visible area `{ maxX, maxY }` (m),
+ * standing on (or floating above) the terrain of the engine `params`.
+ * Re-rolls until the target can be hit at some angle with v0 up to `maxV0` and the rest
+ * of `params` as they are (drag, wind, field, a moving launcher). Null when no try can be.
+ */
+export function createTarget(type, { maxX, maxY, maxV0 }, params, random = Math.random) {
+    const between = (lo, hi) => lo + random() * (hi - lo);
+    const surface = normalizeTerrain(params.terrain);
+    const ground = x => groundHeight(surface, x);
+
+    // Every launch angle at full speed, first flight only (as the solver aims): a point is in
+    // reach when one of them passes level with it or above it
+    const fan = [];
+    for (let angle = -89; angle <= 89; angle++) {
+        fan.push(simulate({ ...params, v0: maxV0, angle, bounce: { restitution: 0 } }));
+    }
+    const inReach = ({ x, y }) => fan.some(trajectory => {
+        const hit = stateAtX(trajectory, x);
+        return hit !== null && hit.y >= y;
+    });
+
+    for (let attempt = 0; attempt < MAX_TARGET_TRIES; attempt++) {
+        let target;
+        if (type === 'wall') {
+            const x = between(0.3, 0.85) * maxX;
+            target = { type, x, base: ground(x), height: between(0.1, 0.5) * maxY, width: 2 };
+        } else if (type === 'platform') {
+            const width = Math.max(0.06 * maxX, 4);
+            const x1 = between(0.3, 0.85) * maxX;
+            target = { type, x1, x2: x1 + width, y: Math.max(ground(x1), ground(x1 + width)) + between(0.1, 0.5) * maxY };
+        } else {
+            const x = between(0.25, 0.9) * maxX;
+            target = { type: 'point', x, y: ground(x) + between(0, 0.6) * maxY, radius: Math.max(0.02 * x, 2) };
+        }
+
+        if (inReach(aimPoint(target))) return target;
+    }
+    return null;
+}
+
+// Point to aim at for the inverse solver
+export function aimPoint(target) {
+    if (target.type === 'wall') return { x: target.x, y: (target.base ?? 0) + target.height / 2 };
+    if (target.type === 'platform') return { x: (target.x1 + target.x2) / 2, y: target.y };
+    return { x: target.x, y: target.y };
+}
+
+/**
+ * Check a trajectory against a target.
+ * Returns `{ hit, t, x, y, message }` — t/x/y is where the projectile strikes (hits only).
+ */
+export function checkHit(trajectory, target) {
+    if (target.type === 'wall') return checkWall(trajectory, target);
+    if (target.type === 'platform') return checkPlatform(trajectory, target);
+    return checkPoint(trajectory, target);
+}
+
+// Points for hitting a target on the given attempt (1-based)
+export function scoreForAttempt(attempts) {
+    return Math.max(MAX_POINTS - (attempts - 1) * POINTS_LOST_PER_MISS, MIN_POINTS);
+}
+
+function checkPoint(trajectory, target) {
+    // Closest approach over every sampled segment
+    let best = { dist: Infinity };
+    const pts = trajectory.points;
+
+    for (let i = 1; i < pts.length; i++) {
+        const a = pts[i - 1];
+        const b = pts[i];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const len2 = dx * dx + dy * dy;
+        const f = len2 > 0 ? Math.min(Math.max(((target.x - a.x) * dx + (target.y - a.y) * dy) / len2, 0), 1) : 0;
+
+        const x = a.x + dx * f;
+        const y = a.y + dy * f;
+        const dist = Math.hypot(target.x - x, target.y - y);
+        if (dist < best.dist) best = { dist, t: a.t + (b.t - a.t) * f, x, y };
+    }
+
+    if (best.dist <= target.radius) {
+        return { hit: true, t: best.t, x: best.x, y: best.y, message: "Bullseye!" };
+    }
+
+    const atTarget = stateAtX(trajectory, target.x);
+    if (!atTarget) {
+        return { hit: false, message: `Landed ${(target.x - trajectory.maxRange).toFixed(1)} m short` };
+    }
+    const dy = atTarget.y - target.y;
+    return { hit: false, message: `Passed ${Math.abs(dy).toFixed(1)} m ${dy > 0 ? 'above' : 'below'} the target` };
+}
+
+function checkWall(trajectory, target) {
+    const atWall = stateAtX(trajectory, target.x);
+    if (!atWall) {
+        return { hit: false, message: `Landed ${(target.x - trajectory.maxRange).toFixed(1)} m short of the wall` };
+    }
+    const top = (target.base ?? 0) + target.height;
+    if (atWall.y <= top) {
+        return { hit: true, t: atWall.t, x: atWall.x, y: atWall.y, message: "Hit the wall!" };
+    }
+    return { hit: false, message: `Cleared the wall by ${(atWall.y - top).toFixed(1)} m` };
+}
+
+function checkPlatform(trajectory, target) {
+    if (trajectory.maxAltitude < target.y) {
+        return { hit: false, message: `Peaked ${(target.y - trajectory.maxAltitude).toFixed(1)} m below the platform` };
+    }
+
+    // First time the projectile comes down through platform height
+    const pts = trajectory.points;
+    for (let i = 1; i < pts.length; i++) {
+        const a = pts[i - 1];
+        const b = pts[i];
+        if (a.y >= target.y && b.y < target.y && b.vy < 0) {
+            const f = (a.y - target.y) / (a.y - b.y);
+            const x = a.x + (b.x - a.x) * f;
+
+            if (x < target.x1) return { hit: false, message: `Came down ${(target.x1 - x).toFixed(1)} m short` };
+            if (x > target.x2) return { hit: false, message: `Came down ${(x - target.x2).toFixed(1)} m long` };
+            return { hit: true, t: a.t + (b.t - a.t) * f, x, y: target.y, message: "Landed on the platform!" };
+        }
+    }
+    return { hit: false, message: "Never came down onto the platform" };
+}
@@ -0,0 +1,87 @@
+// --- RUN DATA ---
+// Samples a trajectory into table rows and serialises them for export.
+
+import { stateAt, constantAcceleration } from './physics.js';
+
+// Column order shared by the on-screen table and the exports
+export const DATA_COLUMNS = [
+    { key: 't', label: 't', unit: 's' },
+    { key: 'x', label: 'x', unit: 'm' },
+    { key: 'y', label: 'y', unit: 'm' },
+    { key: 'vx', label: 'vx', unit: 'm/s' },
+    { key: 'vy', label: 'vy', unit: 'm/s' },
+    { key: 'speed', label: '|v|', unit: 'm/s' },
+    { key: 'ke', label: 'KE', unit: 'J' },
+    { key: 'pe', label: 'PE', unit: 'J' }
+];
+
+// Sideways position and velocity, only worth a column for 3D runs
+const LATERAL_COLUMNS = {
+    z: { key: 'z', label: 'z', unit: 'm' },
+    vz: { key: 'vz', label: 'vz', unit: 'm/s' }
+};
+
+/**
+ * DATA_COLUMNS, with z and vz added after y and vy when `lateral` is set.
+ */
+export function dataColumns(lateral = false) {
+    if (!lateral) return DATA_COLUMNS;
+    return DATA_COLUMNS.flatMap(col => {
+        if (col.key === 'y') return [col, LATERAL_COLUMNS.z];
+        if (col.key === 'vy') return [col, LATERAL_COLUMNS.vz];
+        return [col];
+    });
+}
+
+/**
+ * Rows every `interval` seconds from launch up to `tEnd`.
+ * With `includeEnd`, a final row at exactly `tEnd` is added when it falls between samples.
+ * Energies use `mass` (kg) with potential energy measured from the origin, for gravity
+ * plus any constant field (see constantAcceleration).
+ */
+export function sampleTrajectory(trajectory, { interval, tEnd = trajectory.totalFlightTime, mass, includeEnd = true }) {
+    if (!(interval > 0)) throw new RangeError('interval must be positive');
+
+    const rows = [];
+    for (let i = 0; i * interval <= tEnd + 1e-9; i++) {
+        rows.push(sampleRow(trajectory, i * interval, mass));
+    }
+
+    const last = rows[rows.length - 1];
+    if (includeEnd && tEnd - last.t > 1e-9) rows.push(sampleRow(trajectory, tEnd, mass));
+    return rows;
+}
+
+export function sampleRow(trajectory, t, mass) {
+    const s = stateAt(trajectory, t);
+    const a = constantAcceleration(trajectory.params);
+    const speed = Math.hypot(s.vx, s.vy, s.vz);
+    return {
+        t,
+        x: s.x,
+        y: s.y,
+        z: s.z,
+        vx: s.vx,
+        vy: s.vy,
+        vz: s.vz,
+        speed,
+        ke: 0.5 * mass * speed * speed,
+        pe: -mass * (a.ax * s.x + a.ay * s.y)
+    };
+}
+
+export function toCSV(rows, columns = DATA_COLUMNS) {
+    const header = columns.map(col => `${col.label} (${col.unit})`).join(',');
+    const lines = rows.map(row => columns.map(col => row[col.key].toFixed(4)).join(','));
+    return [header, ...lines].join('\n') + '\n';
+}
+
+// Rows plus the launch setup, so an export can be reproduced later
+export function toJSON(rows, meta, columns = DATA_COLUMNS) {
+    const keys = columns.map(col => col.key);
+    return JSON.stringify({
+        ...meta,
+        units: Object.fromEntries(columns.map(col => [col.key, col.unit])),
+        rows: rows.map(row => Object.fromEntries(keys.map(key => [key, row[key]])))
+    }, null, 2);
+}
@@ -0,0 +1,107 @@
+// --- LAUNCH UNCERTAINTY ---
+// Monte Carlo dispersion: many runs of one setup with v0, angle and h0 drawn at random
+// within their tolerances, and the spread of where they land. The runs are plain engine
+// calls, so the UI can work through them a batch at a time without animating any.
+
+import { simulate } from './physics.js';
+
+// Inputs with a tolerance, and the range a drawn value is clipped to
+export const DISPERSION_PARAMS = {
+    v0: { label: 'v₀', unit: 'm/s', min: 0, max: Infinity },
+    angle: { label: 'Angle', unit: '°', min: 0, max: 90 },
+    h0: { label: 'Height', unit: 'm', min: 0, max: Infinity }
+};
+
+export const MAX_DISPERSION_RUNS = 2000;
+
+/**
+ * Launch inputs `[{ v0, angle, h0 }]` for `count` perturbed copies of `params`. Each input is
+ * drawn from a normal distribution centred on the setup, with its tolerance as the standard
+ * deviation (0 or missing keeps it fixed), and clipped to DISPERSION_PARAMS. `random` returns
+ * uniform numbers in [0, 1) like Math.random. Throws a RangeError for a negative tolerance or a
+ * count outside 1..MAX_DISPERSION_RUNS.
+ */
+export function perturbLaunches(params, tolerances, count, random = Math.random) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_DISPERSION_RUNS) {
+        throw new RangeError(`Dispersion needs between 1 and ${MAX_DISPERSION_RUNS} runs`);
+    }
+    Object.keys(DISPERSION_PARAMS).forEach(key => {
+        const tolerance = tolerances[key] ?? 0;
+        if (!(tolerance >= 0)) throw new RangeError(`The ${key} tolerance must not be negative`);
+    });
+
+    const launches = [];
+    for (let i = 0; i < count; i++) {
+        const launch = {};
+        Object.entries(DISPERSION_PARAMS).forEach(([key, { min, max }]) => {
+            const centre = params[key] ?? 0;
+            const tolerance = tolerances[key] ?? 0;
+            const value = tolerance > 0 ? centre + tolerance * gaussian(random) : centre;
+            launch[key] = Math.min(Math.max(value, min), max);
+        });
+        launches.push(launch);
+    }
+    return launches;
+}
+
+/**
+ * Simulate `params` once per launch: `[{ v0, angle, h0, trajectory, maxRange, maxAltitude,
+ * totalFlightTime }]`. Pass a slice of the launches to spread a long run over several calls.
+ * With `trajectories: false` the runs leave out `trajectory`, so a long job only holds the
+ * numbers for the runs it will not draw.
+ */
+export function simulateLaunches(params, launches, { trajectories = true } = {}) {
+    return launches.map(launch => {
+        const trajectory = simulate({ ...params, ...launch });
+        const { maxRange, maxAltitude, totalFlightTime } = trajectory;
+        const run = { ...launch, maxRange, maxAltitude, totalFlightTime };
+        return trajectories ? { ...run, trajectory } : run;
+    });
+}
+
+/**
+ * `{ n, mean, sd, min, max }` of a list of numbers, with the sample standard deviation
+ * (n − 1; 0 for a single value). Null for an empty list.
+ */
+export function summarize(values) {
+    const n = values.length;
+    if (n === 0) return null;
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+    const squares = values.reduce((sum, v) => sum + (v - mean) ** 2, 0);
+    return {
+        n,
+        mean,
+        sd: n > 1 ? Math.sqrt(squares / (n - 1)) : 0,
+        min: Math.min(...values),
+        max: Math.max(...values)
+    };
+}
+
+/**
+ * Counts of the values in `bins` equal bins from the smallest to the largest:
+ * `{ from, to, width, counts }`. All values equal puts them in one bin 1 wide around them.
+ */
+export function histogram(values, bins) {
+    if (!Number.isInteger(bins) || bins < 1) throw new RangeError('A histogram needs at least one bin');
+    let from = Math.min(...values);
+    let to = Math.max(...values);
+    if (!(to > from)) {
+        from -= 0.5;
+        to += 0.5;
+        bins = 1;
+    }
+
+    const width = (to - from) / bins;
+    const counts = new Array(bins).fill(0);
+    values.forEach(v => {
+        counts[Math.min(Math.floor((v - from) / width), bins - 1)]++;
+    });
+    return { from, to, width, counts };
+}
+
+// Standard normal draw (Box–Muller)
+function gaussian(random) {
+    const u = 1 - random(); // (0, 1], so the log stays finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
@@ -0,0 +1,103 @@
+// --- ENERGY & MOMENTUM ---
+// Energy budget of a trajectory: kinetic and potential energy, the work lost to
+// drag and to impacts, and the leftover drift that exposes integration error.
+
+import { stateAt, constantAcceleration, accelerationAt, groundHeight } from './physics.js';
+
+// Drift (as a fraction of the launch energy) above which the budget is flagged
+export const DRIFT_TOLERANCE = 0.005;
+
+// trajectory -> cumulative losses per kg at each sample
+const ledgers = new WeakMap();
+
+/**
+ * Energy (J) and momentum (kg·m/s) of a `mass` kg projectile at time t:
+ * `{ ke, pe, mechanical, dragLoss, contactLoss, initial, drift, relativeDrift, px, py, pz }`.
+ * PE is measured from the origin (see constantAcceleration). `dragLoss` is the work done
+ * against the air (negative when a tailwind adds energy); `contactLoss` covers bounces and rolling.
+ * Exactly, mechanical + dragLoss + contactLoss = initial, so `drift` is numerical error.
+ */
+export function energyAt(trajectory, t, mass) {
+    const p = trajectory.params;
+    const pts = trajectory.points;
+    const ledger = ledgerFor(trajectory);
+    const time = Math.min(Math.max(t, 0), trajectory.totalFlightTime);
+
+    // Losses up to the last sample at or before t, plus the partial step to t
+    let i = 0;
+    while (i + 1 < pts.length && pts[i + 1].t <= time) i++;
+    const s = time === pts[i].t ? pts[i] : stateAt(trajectory, time);
+    const partial = stepLoss(p, pts[i], s);
+
+    const field = constantAcceleration(p);
+    const ke = 0.5 * mass * (s.vx * s.vx + s.vy * s.vy + s.vz * s.vz);
+    const pe = -mass * (field.ax * s.x + field.ay * s.y);
+    const start = pts[0];
+    const ke0 = 0.5 * mass * (start.vx * start.vx + start.vy * start.vy + start.vz * start.vz);
+    const pe0 = -mass * (field.ax * start.x + field.ay * start.y);
+
+    const dragLoss = mass * (ledger.drag[i] + partial.drag);
+    const contactLoss = mass * (ledger.contact[i] + partial.contact);
+    const initial = ke0 + pe0;
+    const drift = ke + pe + dragLoss + contactLoss - initial;
+
+    return {
+        ke,
+        pe,
+        mechanical: ke + pe,
+        dragLoss,
+        contactLoss,
+        initial,
+        drift,
+        relativeDrift: Math.abs(drift) / Math.max(ke0 + Math.abs(pe0), 1e-9),
+        px: mass * s.vx,
+        py: mass * s.vy,
+        pz: mass * s.vz
+    };
+}
+
+function ledgerFor(trajectory) {
+    let ledger = ledgers.get(trajectory);
+    if (ledger) return ledger;
+
+    const p = trajectory.params;
+    const pts = trajectory.points;
+    ledger = { drag: [0], contact: [0] };
+    for (let i = 1; i < pts.length; i++) {
+        const loss = stepLoss(p, pts[i - 1], pts[i]);
+        ledger.drag.push(ledger.drag[i - 1] + loss.drag);
+        ledger.contact.push(ledger.contact[i - 1] + loss.contact);
+    }
+    ledgers.set(trajectory, ledger);
+    return ledger;
+}
+
+// Energy lost per kg between two states of a run. Impacts (a jump at one instant) and
+// rolling lose whatever mechanical energy went missing; in flight the drag work is
+// integrated on its own, so integration error shows up as drift instead of vanishing.
+function stepLoss(p, a, b) {
+    if (b.t === a.t || (onGround(p, a) && onGround(p, b))) {
+        return { drag: 0, contact: mechanical(p, a) - mechanical(p, b) };
+    }
+    if (p.drag.model === 'none') return { drag: 0, contact: 0 };
+
+    // Trapezoid rule on the power drawn by the air
+    return { drag: -(dragPower(p, a) + dragPower(p, b)) / 2 * (b.t - a.t), contact: 0 };
+}
+
+function mechanical(p, s) {
+    const field = constantAcceleration(p);
+    return 0.5 * (s.vx * s.vx + s.vy * s.vy + s.vz * s.vz) - (field.ax * s.x + field.ay * s.y);
+}
+
+// Rate of work done by the air per kg (negative while it slows the projectile). Spin lift
+// is square to the airflow, so it only adds work once there is wind
+function dragPower(p, s) {
+    const total = accelerationAt(p, s);
+    const field = constantAcceleration(p);
+    return (total.ax - field.ax) * s.vx + (total.ay - field.ay) * s.vy + (total.az - field.az) * s.vz;
+}
+
+function onGround(p, s) {
+    return Math.abs(s.y - groundHeight(p.terrain, s.x)) < 1e-6;
+}
@@ -0,0 +1,20 @@
+// --- ENVIRONMENTS ---
+// Surface gravity and atmosphere for the worlds in the environment picker,
+// plus the canvas colours each one is drawn with.
+
+// g in m/s², rho (surface air density) in kg/m³
+export const ENVIRONMENTS = [
+    { id: 'earth', name: 'Earth', g: 9.8, rho: 1.225, sky: '#ffffff', ground: 'rgba(148, 163, 184, 0.25)' },
+    { id: 'moon', name: 'Moon', g: 1.62, rho: 0, sky: '#f1f5f9', ground: 'rgba(100, 116, 139, 0.35)' },
+    { id: 'mars', name: 'Mars', g: 3.71, rho: 0.02, sky: '#fdf1ea', ground: 'rgba(194, 65, 12, 0.3)' },
+    { id: 'jupiter', name: 'Jupiter', g: 24.79, rho: 0.16, sky: '#fdf6e9', ground: 'rgba(180, 83, 9, 0.25)' },
+    { id: 'venus', name: 'Venus', g: 8.87, rho: 65, sky: '#fefbe8', ground: 'rgba(202, 138, 4, 0.3)' },
+    { id: 'titan', name: 'Titan', g: 1.35, rho: 5.3, sky: '#fdf4e7', ground: 'rgba(161, 98, 7, 0.3)' }
+];
+
+// Look-and-feel for user-entered values
+export const CUSTOM_ENVIRONMENT = { id: 'custom', name: 'Custom', sky: '#ffffff', ground: 'rgba(148, 163, 184, 0.25)' };
+
+export function findEnvironment(id) {
+    return ENVIRONMENTS.find(env => env.id === id) || CUSTOM_ENVIRONMENT;
+}
@@ -0,0 +1,231 @@
+// --- SVG FIGURES ---
+// A stand-in for a canvas 2D context that records what is drawn and writes it out
+// as an SVG document, so the scene code can draw a vector figure unchanged.
+// Covers the parts of the canvas API the lab uses. Shadows are dropped.
+
+const TAU = Math.PI * 2;
+
+// Drawing state that save() and restore() keep, with the canvas defaults
+const STATE_DEFAULTS = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    globalAlpha: 1,
+    shadowBlur: 0,
+    shadowColor: 'rgba(0, 0, 0, 0)',
+    shadowOffsetX: 0,
+    shadowOffsetY: 0
+};
+
+const ANCHORS = { start: 'start', left: 'start', center: 'middle', end: 'end', right: 'end' };
+const BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+/**
+ * Context for a `width` × `height` px figure. Draw on it like a CanvasRenderingContext2D,
+ * then call `toSVG()` for the document. `measureText(text, font)` should return a width in px;
+ * without one, text widths are estimated from the font size.
+ */
+export function createSvgContext(width, height, measureText = estimateText) {
+    const shapes = [];
+    const defs = [];
+    const stack = [];
+    let matrix = [1, 0, 0, 1, 0, 0];
+    let dash = [];
+    let path = [];
+    let hasPoint = false;
+
+    // User space -> figure px under the current transform
+    const apply = (x, y) => [
+        matrix[0] * x + matrix[2] * y + matrix[4],
+        matrix[1] * x + matrix[3] * y + matrix[5]
+    ];
+    const scale = () => Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    const point = (x, y) => apply(x, y).map(num).join(' ');
+
+    function transform(a, b, c, d, e, f) {
+        const [m0, m1, m2, m3, m4, m5] = matrix;
+        matrix = [
+            m0 * a + m2 * b, m1 * a + m3 * b,
+            m0 * c + m2 * d, m1 * c + m3 * d,
+            m0 * e + m2 * f + m4, m1 * e + m3 * f + m5
+        ];
+    }
+
+    // fill / stroke attributes, adding a gradient to <defs> when one is used
+    function paint(style) {
+        if (typeof style === 'string') return escape(style);
+        const id = `g${defs.length}`;
+        const stops = style.stops
+            .map(s => `<stop offset="${num(s.offset)}" stop-color="${escape(s.color)}"/>`)
+            .join('');
+        const units = `gradientUnits="userSpaceOnUse" gradientTransform="matrix(${matrix.map(num).join(' ')})"`;
+        defs.push(style.type === 'radial'
+            ? `<radialGradient id="${id}" ${units} fx="${num(style.x0)}" fy="${num(style.y0)}" fr="${num(style.r0)}" ` +
+                `cx="${num(style.x1)}" cy="${num(style.y1)}" r="${num(style.r1)}">${stops}</radialGradient>`
+            : `<linearGradient id="${id}" ${units} x1="${num(style.x0)}" y1="${num(style.y0)}" ` +
+                `x2="${num(style.x1)}" y2="${num(style.y1)}">${stops}</linearGradient>`);
+        return `url(#${id})`;
+    }
+
+    const opacity = () => (ctx.globalAlpha < 1 ? ` opacity="${num(ctx.globalAlpha)}"` : '');
+
+    function fillShape(d) {
+        shapes.push(`<path d="${d}" fill="${paint(ctx.fillStyle)}"${opacity()}/>`);
+    }
+
+    function strokeShape(d) {
+        const s = scale();
+        const dashes = dash.length > 0 ? ` stroke-dasharray="${dash.map(v => num(v * s)).join(' ')}"` : '';
+        shapes.push(`<path d="${d}" fill="none" stroke="${paint(ctx.strokeStyle)}" ` +
+            `stroke-width="${num(ctx.lineWidth * s)}"${dashes}${opacity()}/>`);
+    }
+
+    function rectPath(x, y, w, h) {
+        return `M${point(x, y)} L${point(x + w, y)} L${point(x + w, y + h)} L${point(x, y + h)} Z`;
+    }
+
+    const ctx = {
+        ...STATE_DEFAULTS,
+
+        save() {
+            const state = {};
+            Object.keys(STATE_DEFAULTS).forEach(key => { state[key] = ctx[key]; });
+            stack.push({ state, matrix, dash });
+        },
+        restore() {
+            const saved = stack.pop();
+            if (!saved) return;
+            Object.assign(ctx, saved.state);
+            matrix = saved.matrix;
+            dash = saved.dash;
+        },
+
+        translate(x, y) { transform(1, 0, 0, 1, x, y); },
+        rotate(angle) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            transform(cos, sin, -sin, cos, 0, 0);
+        },
+        scale(x, y) { transform(x, 0, 0, y, 0, 0); },
+        transform,
+        setTransform(a, b, c, d, e, f) { matrix = [a, b, c, d, e, f]; },
+        resetTransform() { matrix = [1, 0, 0, 1, 0, 0]; },
+
+        setLineDash(segments) { dash = segments.slice(); },
+        getLineDash() { return dash.slice(); },
+
+        beginPath() {
+            path = [];
+            hasPoint = false;
+        },
+        moveTo(x, y) {
+            path.push(`M${point(x, y)}`);
+            hasPoint = true;
+        },
+        lineTo(x, y) {
+            path.push(`${hasPoint ? 'L' : 'M'}${point(x, y)}`);
+            hasPoint = true;
+        },
+        closePath() {
+            if (hasPoint) path.push('Z');
+        },
+        rect(x, y, w, h) {
+            path.push(rectPath(x, y, w, h));
+            hasPoint = true;
+        },
+        // Same sweep rules as the canvas; split into pieces of at most half a turn,
+        // since one SVG arc can't close a circle
+        arc(x, y, r, start, end, counterclockwise = false) {
+            const turn = counterclockwise ? start - end : end - start;
+            const sweep = turn >= TAU ? TAU : ((turn % TAU) + TAU) % TAU;
+            const dir = counterclockwise ? -1 : 1;
+            const at = a => point(x + r * Math.cos(a), y + r * Math.sin(a));
+
+            path.push(`${hasPoint ? 'L' : 'M'}${at(start)}`);
+            hasPoint = true;
+
+            const det = matrix[0] * matrix[3] - matrix[1] * matrix[2];
+            const flag = (dir > 0) === (det > 0) ? 1 : 0;
+            const radius = num(r * scale());
+            const pieces = Math.ceil(sweep / Math.PI);
+            for (let i = 1; i <= pieces; i++) {
+                path.push(`A${radius} ${radius} 0 0 ${flag} ${at(start + dir * sweep * i / pieces)}`);
+            }
+        },
+
+        fill() {
+            if (path.length > 0) fillShape(path.join(' '));
+        },
+        stroke() {
+            if (path.length > 0) strokeShape(path.join(' '));
+        },
+        fillRect(x, y, w, h) { fillShape(rectPath(x, y, w, h)); },
+        strokeRect(x, y, w, h) { strokeShape(rectPath(x, y, w, h)); },
+        // SVG has nothing to erase with: clearing the whole figure starts it over
+        clearRect(x, y, w, h) {
+            const [x0, y0] = apply(x, y);
+            const [x1, y1] = apply(x + w, y + h);
+            if (Math.min(x0, x1) <= 0 && Math.min(y0, y1) <= 0 && Math.max(x0, x1) >= width && Math.max(y0, y1) >= height) {
+                shapes.length = 0;
+                defs.length = 0;
+            }
+        },
+
+        fillText(text, x, y) {
+            const identity = matrix[0] === 1 && matrix[1] === 0 && matrix[2] === 0 && matrix[3] === 1;
+            const place = identity
+                ? `x="${num(x + matrix[4])}" y="${num(y + matrix[5])}"`
+                : `x="${num(x)}" y="${num(y)}" transform="matrix(${matrix.map(num).join(' ')})"`;
+            const anchor = ANCHORS[ctx.textAlign] || 'start';
+            const baseline = BASELINES[ctx.textBaseline];
+            shapes.push(`<text ${place} fill="${paint(ctx.fillStyle)}" style="font: ${escape(ctx.font)}"` +
+                (anchor !== 'start' ? ` text-anchor="${anchor}"` : '') +
+                (baseline ? ` dominant-baseline="${baseline}"` : '') +
+                `${opacity()}>${escape(String(text))}</text>`);
+        },
+        measureText(text) {
+            return { width: measureText(String(text), ctx.font) };
+        },
+
+        createLinearGradient(x0, y0, x1, y1) {
+            return gradient({ type: 'linear', x0, y0, x1, y1 });
+        },
+        createRadialGradient(x0, y0, r0, x1, y1, r1) {
+            return gradient({ type: 'radial', x0, y0, r0, x1, y1, r1 });
+        },
+
+        toSVG() {
+            const lines = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`];
+            if (defs.length > 0) lines.push(`<defs>${defs.join('')}</defs>`);
+            lines.push(...shapes, '</svg>');
+            return lines.join('\n') + '\n';
+        }
+    };
+    return ctx;
+}
+
+function gradient(geometry) {
+    const stops = [];
+    return {
+        ...geometry,
+        stops,
+        addColorStop(offset, color) { stops.push({ offset, color }); }
+    };
+}
+
+// Rough width for when no canvas is around to measure with
+function estimateText(text, font) {
+    const size = parseFloat((font.match(/([\d.]+)px/) || [])[1]) || 10;
+    return text.length * size * 0.55;
+}
+
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
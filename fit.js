@@ -0,0 +1,253 @@
+// --- CURVE FITTING ---
+// Measured (t, x, y) points, e.g. from video tracking a real ball, and a least-squares
+// fit of the launch to them: v0 and the angle, optionally g and the drag coefficient,
+// with everything else taken from the setup. The model is the engine itself, so the
+// fit covers drag, wind and terrain the same way the simulation does.
+
+import { simulate, stateAt, DEFAULT_DRAG } from './physics.js';
+
+// Inputs the fit can adjust, and where they live in the engine params
+export const FIT_PARAMS = {
+    v0: { label: 'v₀', unit: 'm/s', get: p => p.v0, set: (p, v) => ({ ...p, v0: v }) },
+    angle: { label: 'Angle', unit: '°', get: p => p.angle, set: (p, v) => ({ ...p, angle: v }) },
+    g: { label: 'g', unit: 'm/s²', get: p => p.g, set: (p, v) => ({ ...p, g: v }) },
+    cd: {
+        label: 'Cd',
+        unit: '',
+        get: p => p.drag.cd ?? DEFAULT_DRAG.cd,
+        set: (p, v) => ({ ...p, drag: { ...p.drag, cd: v } })
+    }
+};
+
+const MAX_ITERATIONS = 100;
+
+/**
+ * Points from CSV text (comma, semicolon, tab or space separated) as `[{ t, x, y }]`, sorted by t.
+ * Columns are found by a header row naming t, x and y (units like "x (m)" are fine), or are
+ * taken in that order when there is none. Lines before the header, `#` comments and rows with
+ * a missing value are skipped. Throws a TypeError when fewer than three points are left.
+ */
+export function parseMeasurements(text) {
+    const rows = String(text).split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '' && !line.startsWith('#'))
+        .map(line => (/[,;\t]/.test(line) ? line.split(/\s*[,;\t]\s*/) : line.split(/\s+/)));
+    const isNumber = cell => cell !== '' && Number.isFinite(Number(cell));
+
+    const first = rows.findIndex(cells => cells.length >= 3 && cells.slice(0, 3).every(isNumber));
+    if (first < 0) throw new TypeError('No rows of t, x, y numbers found');
+
+    let columns = { t: 0, x: 1, y: 2 };
+    if (first > 0) {
+        const header = rows[first - 1].map(cell => cell.toLowerCase().replace(/["']/g, ''));
+        const find = pattern => header.findIndex(cell => pattern.test(cell));
+        columns = { t: find(/^(t|time)\b/), x: find(/^x\b/), y: find(/^y\b/) };
+        if (Object.values(columns).some(i => i < 0)) throw new TypeError('The header needs t, x and y columns');
+    }
+
+    const points = rows.slice(first)
+        .map(cells => ({ t: Number(cells[columns.t]), x: Number(cells[columns.x]), y: Number(cells[columns.y]) }))
+        .filter((pt, i) => [columns.t, columns.x, columns.y].every(c => isNumber(rows[first + i][c] ?? '')))
+        .sort((a, b) => a.t - b.t);
+
+    if (points.length < 3) throw new TypeError('At least three measured points are needed');
+    if (points[0].t < 0) throw new TypeError('Times are measured from launch, so none can be negative');
+    return points;
+}
+
+/**
+ * Least-squares fit (Levenberg–Marquardt) of `keys` from FIT_PARAMS so that `params`
+ * passes through the measured points at their times. Starts from a vacuum estimate of the
+ * launch velocity (and g), and from the setup for the rest.
+ * Returns `{ keys, values, errors, params, trajectory, residuals: [{ t, dx, dy }], rms,
+ * rSquared, iterations, converged }`: `errors` are standard errors, `rms` is the RMS
+ * distance (m) from each point to the fitted path. Throws a RangeError when the fit can't be posed.
+ */
+export function fitLaunch(params, points, keys = ['v0', 'angle']) {
+    keys.forEach(key => {
+        if (!(key in FIT_PARAMS)) throw new RangeError(`Cannot fit "${key}"`);
+    });
+    if (keys.includes('cd') && (!params.drag || params.drag.model === 'none')) {
+        throw new RangeError('Fitting the drag coefficient needs a drag model');
+    }
+    if (points.length * 2 <= keys.length) throw new RangeError(`Fitting ${keys.length} values needs more points`);
+
+    const start = estimateLaunch(params, points);
+    const build = values => keys.reduce((p, key, j) => FIT_PARAMS[key].set(p, values[j]), params);
+    // Null for values the model can't take, so a step there is never an improvement
+    const evaluate = values => {
+        try {
+            const residuals = residualsFor(simulate(build(values)), points);
+            return residuals.every(Number.isFinite) ? residuals : null;
+        } catch (err) {
+            if (err instanceof RangeError) return null; // e.g. a trial step to a negative v0
+            throw err;
+        }
+    };
+    const costOf = r => (r ? r.reduce((sum, v) => sum + v * v, 0) : Infinity);
+
+    let values = keys.map(key => FIT_PARAMS[key].get(start));
+    let residuals = evaluate(values);
+    if (!residuals) {
+        values = keys.map(key => FIT_PARAMS[key].get(params));
+        residuals = evaluate(values);
+    }
+    if (!residuals) throw new RangeError('The setup cannot be simulated');
+
+    let cost = costOf(residuals);
+    let lambda = 1e-3;
+    let iterations = 0;
+    let converged = false;
+    let jacobian = jacobianAt(evaluate, values, residuals);
+
+    while (iterations < MAX_ITERATIONS && !converged) {
+        iterations++;
+        const { normal, gradient } = normalEquations(jacobian, residuals);
+
+        // Raise the damping until a step lowers the cost
+        let improved = false;
+        while (lambda < 1e12) {
+            const damped = normal.map((row, i) => row.map((v, j) => (i === j ? v * (1 + lambda) + 1e-12 : v)));
+            const step = solve(damped, gradient.map(v => -v));
+            const trial = step && values.map((v, j) => v + step[j]);
+            const trialResiduals = trial && evaluate(trial);
+            const trialCost = costOf(trialResiduals);
+            if (trialCost < cost) {
+                const gain = (cost - trialCost) / Math.max(cost, 1e-300);
+                const small = step.every((s, j) => Math.abs(s) <= 1e-9 * Math.max(Math.abs(values[j]), 1));
+                values = trial;
+                residuals = trialResiduals;
+                cost = trialCost;
+                lambda = Math.max(lambda / 10, 1e-12);
+                improved = true;
+                converged = gain < 1e-12 || small;
+                break;
+            }
+            lambda *= 10;
+        }
+        if (!improved) {
+            converged = true; // no step helps: at a minimum to within the model's resolution
+            break;
+        }
+        jacobian = jacobianAt(evaluate, values, residuals);
+    }
+
+    const fitted = build(values);
+    const trajectory = simulate(fitted);
+    const n = points.length;
+    const dof = 2 * n - keys.length;
+    const covariance = invert(normalEquations(jacobian, residuals).normal);
+    const variance = cost / dof;
+
+    const meanX = points.reduce((sum, pt) => sum + pt.x, 0) / n;
+    const meanY = points.reduce((sum, pt) => sum + pt.y, 0) / n;
+    const spread = points.reduce((sum, pt) => sum + (pt.x - meanX) ** 2 + (pt.y - meanY) ** 2, 0);
+
+    return {
+        keys,
+        values: Object.fromEntries(keys.map((key, j) => [key, values[j]])),
+        errors: Object.fromEntries(keys.map((key, j) => [key, covariance ? Math.sqrt(Math.max(covariance[j][j] * variance, 0)) : NaN])),
+        params: fitted,
+        trajectory,
+        residuals: points.map((pt, i) => ({ t: pt.t, dx: residuals[2 * i], dy: residuals[2 * i + 1] })),
+        rms: Math.sqrt(cost / n),
+        rSquared: spread > 0 ? 1 - cost / spread : 1,
+        iterations,
+        converged
+    };
+}
+
+// Simulated minus measured position at each point's time, as [dx0, dy0, dx1, dy1, ...]
+function residualsFor(trajectory, points) {
+    const out = [];
+    points.forEach(pt => {
+        const s = stateAt(trajectory, pt.t);
+        out.push(s.x - pt.x, s.y - pt.y);
+    });
+    return out;
+}
+
+// Launch velocity (and g) from straight-line x(t) and parabolic y(t) fits, ignoring drag
+function estimateLaunch(params, points) {
+    const xFit = polyfit(points, 'x', 1);
+    const yFit = polyfit(points, 'y', 2);
+    if (!xFit || !yFit) return params;
+
+    const vx = xFit[1] - (params.launcherVx ?? 0);
+    const vy = yFit[1];
+    const g = -2 * yFit[2] + (params.field ? params.field.ay : 0);
+    return {
+        ...params,
+        v0: Math.hypot(vx, vy),
+        angle: Math.atan2(vy, vx) * 180 / Math.PI,
+        g: g > 0 ? g : params.g
+    };
+}
+
+// Coefficients [c0, c1, ...] of the least-squares polynomial of `degree` through pt[key] against pt.t
+function polyfit(points, key, degree) {
+    const size = degree + 1;
+    const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+    const rhs = new Array(size).fill(0);
+    points.forEach(pt => {
+        for (let i = 0; i < size; i++) {
+            rhs[i] += pt[key] * pt.t ** i;
+            for (let j = 0; j < size; j++) normal[i][j] += pt.t ** (i + j);
+        }
+    });
+    return solve(normal, rhs);
+}
+
+// Forward differences, stepping back instead where the forward step can't be simulated
+function jacobianAt(evaluate, values, residuals) {
+    const columns = values.map((v, j) => {
+        const h = 1e-6 * Math.max(Math.abs(v), 1);
+        for (const step of [h, -h]) {
+            const shifted = values.slice();
+            shifted[j] += step;
+            const r = evaluate(shifted);
+            if (r) return r.map((rv, i) => (rv - residuals[i]) / step);
+        }
+        return residuals.map(() => 0);
+    });
+    return residuals.map((r, i) => columns.map(column => column[i]));
+}
+
+function normalEquations(jacobian, residuals) {
+    const size = jacobian[0].length;
+    const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+    const gradient = new Array(size).fill(0);
+    jacobian.forEach((row, i) => {
+        for (let a = 0; a < size; a++) {
+            gradient[a] += row[a] * residuals[i];
+            for (let b = 0; b < size; b++) normal[a][b] += row[a] * row[b];
+        }
+    });
+    return { normal, gradient };
+}
+
+// Gaussian elimination with partial pivoting; null for a singular system
+function solve(matrix, rhs) {
+    const n = rhs.length;
+    const a = matrix.map((row, i) => [...row, rhs[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (!(Math.abs(a[pivot][col]) > 1e-300)) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const f = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= f * a[col][k];
+        }
+    }
+    return a.map((row, i) => row[n] / row[i]);
+}
+
+function invert(matrix) {
+    const columns = matrix.map((row, j) => solve(matrix, matrix.map((r, i) => (i === j ? 1 : 0))));
+    if (columns.some(column => !column)) return null;
+    return matrix.map((row, i) => columns.map(column => column[i]));
+}
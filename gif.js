@@ -0,0 +1,204 @@
+// --- GIF ENCODER ---
+// Writes looping animated GIFs from RGBA frames (as from getImageData). The palette
+// is taken from the most common colours of the first frame plus a small colour cube
+// for anything new later on. Each frame stores only the box that changed since the
+// one before, which keeps a mostly still scene small.
+
+const PALETTE_SIZE = 256;
+const CUBE_LEVELS = [0, 85, 170, 255]; // 64 fallback colours
+const MAX_CODES = 4096;
+
+// LZW code table, shared between frames (8 MB, so only made once)
+let table = null;
+
+/**
+ * Encoder for a `width` × `height` animation. `addFrame(rgba, delayMs)` adds a frame
+ * shown for `delayMs` (GIF timing is in 10 ms steps, 20 ms at the least), and
+ * `finish()` returns the file as a Uint8Array. Throws a RangeError for a frame of the wrong size.
+ */
+export function createGifEncoder(width, height) {
+    const chunks = [];
+    let palette = null;
+    let lookup = null;
+    let previous = null;
+    let frames = 0;
+
+    function addFrame(rgba, delayMs) {
+        if (rgba.length !== width * height * 4) throw new RangeError('Frame size does not match the GIF');
+        if (!palette) {
+            palette = buildPalette(rgba);
+            lookup = new Int16Array(1 << 15).fill(-1);
+            chunks.push(header(width, height, palette));
+        }
+
+        const indices = new Uint8Array(width * height);
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            const key = (rgba[p] >> 3) << 10 | (rgba[p + 1] >> 3) << 5 | rgba[p + 2] >> 3;
+            if (lookup[key] < 0) lookup[key] = nearest(palette, rgba[p], rgba[p + 1], rgba[p + 2]);
+            indices[i] = lookup[key];
+        }
+
+        const box = previous ? changedBox(previous, indices, width, height) : { x: 0, y: 0, w: width, h: height };
+        previous = indices;
+
+        const delay = Math.max(Math.round(delayMs / 10), 2);
+        chunks.push(
+            // Graphic control: keep the previous frame under this one
+            Uint8Array.of(0x21, 0xf9, 0x04, 0x04, delay & 0xff, delay >> 8, 0, 0),
+            Uint8Array.of(0x2c, ...le16(box.x), ...le16(box.y), ...le16(box.w), ...le16(box.h), 0),
+            lzw(crop(indices, width, box))
+        );
+        frames++;
+    }
+
+    function finish() {
+        if (frames === 0) throw new RangeError('A GIF needs at least one frame');
+        chunks.push(Uint8Array.of(0x3b));
+        const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return out;
+    }
+
+    return { addFrame, finish, get frames() { return frames; } };
+}
+
+// Screen descriptor, global palette and the loop-forever extension
+function header(width, height, palette) {
+    const bytes = [
+        ...'GIF89a'.split('').map(c => c.charCodeAt(0)),
+        ...le16(width), ...le16(height), 0xf7, 0, 0,
+        ...palette.flat(),
+        0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)), 0x03, 0x01, 0, 0, 0
+    ];
+    return Uint8Array.from(bytes);
+}
+
+// Most common 15-bit colours of the frame, then the fallback cube
+function buildPalette(rgba) {
+    const counts = new Uint32Array(1 << 15);
+    for (let p = 0; p < rgba.length; p += 4) {
+        counts[(rgba[p] >> 3) << 10 | (rgba[p + 1] >> 3) << 5 | rgba[p + 2] >> 3]++;
+    }
+
+    const cube = [];
+    CUBE_LEVELS.forEach(r => CUBE_LEVELS.forEach(g => CUBE_LEVELS.forEach(b => cube.push([r, g, b]))));
+
+    const common = [...counts.keys()]
+        .filter(key => counts[key] > 0)
+        .sort((a, b) => counts[b] - counts[a])
+        .slice(0, PALETTE_SIZE - cube.length)
+        .map(key => [(key >> 10) << 3 | 4, (key >> 5 & 31) << 3 | 4, (key & 31) << 3 | 4]);
+
+    const palette = [...common, ...cube];
+    while (palette.length < PALETTE_SIZE) palette.push([0, 0, 0]);
+    return palette;
+}
+
+function nearest(palette, r, g, b) {
+    let best = 0;
+    let bestDist = Infinity;
+    palette.forEach(([pr, pg, pb], i) => {
+        const dist = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (dist < bestDist) {
+            best = i;
+            bestDist = dist;
+        }
+    });
+    return best;
+}
+
+// Smallest box holding every pixel that differs (1×1 when nothing does)
+function changedBox(before, after, width, height) {
+    let x0 = width, y0 = height, x1 = -1, y1 = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0, i = y * width; x < width; x++, i++) {
+            if (before[i] === after[i]) continue;
+            if (x < x0) x0 = x;
+            if (x > x1) x1 = x;
+            if (y < y0) y0 = y;
+            y1 = y;
+        }
+    }
+    if (x1 < 0) return { x: 0, y: 0, w: 1, h: 1 };
+    return { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+}
+
+function crop(indices, width, box) {
+    if (box.w === width) return indices.subarray(box.y * width, (box.y + box.h) * width);
+    const out = new Uint8Array(box.w * box.h);
+    for (let y = 0; y < box.h; y++) {
+        const start = (box.y + y) * width + box.x;
+        out.set(indices.subarray(start, start + box.w), y * box.w);
+    }
+    return out;
+}
+
+// Image data: LZW codes (8-bit minimum code size) packed into sub-blocks
+function lzw(indices) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [minCodeSize];
+    let block = [];
+    let bits = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+
+    // (prefix code, next index) -> code; bumping the generation empties the table
+    if (!table) table = { codes: new Int32Array(MAX_CODES << 8), stamps: new Int32Array(MAX_CODES << 8), generation: 0 };
+    const { codes, stamps } = table;
+    let generation = ++table.generation;
+
+    function emit(code) {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bits & 0xff);
+            bits >>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                out.push(255, ...block);
+                block = [];
+            }
+        }
+    }
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = prefix << 8 | k;
+        if (stamps[key] === generation) {
+            prefix = codes[key];
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === MAX_CODES) {
+            emit(clearCode);
+            generation = ++table.generation;
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            codes[key] = nextCode++;
+            stamps[key] = generation;
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) block.push(bits & 0xff);
+    if (block.length > 0) out.push(block.length, ...block);
+    out.push(0);
+    return Uint8Array.from(out);
+}
+
+function le16(value) {
+    return [value & 0xff, value >> 8 & 0xff];
+}
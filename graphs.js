@@ -0,0 +1,391 @@
+// --- LIVE GRAPHS ---
+// Time-series data for a trajectory, and small plot renderers for it, for parameter sweeps,
+// for the residuals of a curve fit and for the spread of a dispersion run.
+// Draws into whatever 2D context it is handed; never looks up DOM elements.
+
+import { stateAt, constantAcceleration } from './physics.js';
+
+// One entry per plot, in display order
+export const GRAPHS = [
+    { id: 'x', title: 'x(t)', unit: 'm', lines: [{ key: 'x', color: '#0284c7' }] },
+    { id: 'y', title: 'y(t)', unit: 'm', lines: [{ key: 'y', color: '#0284c7' }] },
+    { id: 'vx', title: 'vx(t)', unit: 'm/s', lines: [{ key: 'vx', color: '#16a34a' }] },
+    { id: 'vy', title: 'vy(t)', unit: 'm/s', lines: [{ key: 'vy', color: '#16a34a' }] },
+    {
+        id: 'energy', title: 'Energy', unit: 'J', lines: [
+            { key: 'ke', color: '#f97316', label: 'KE' },
+            { key: 'pe', color: '#8b5cf6', label: 'PE' },
+            { key: 'total', color: '#0f172a', label: 'Total' }
+        ]
+    }
+];
+
+/**
+ * Evenly spaced samples of every plotted quantity from launch to `endTime`.
+ * Energies use `mass` (kg), PE measured from the origin in gravity plus any constant field.
+ */
+export function buildGraphData(trajectory, { mass, endTime = trajectory.totalFlightTime, samples = 150 }) {
+    const data = { times: [], x: [], y: [], vx: [], vy: [], ke: [], pe: [], total: [] };
+    const a = constantAcceleration(trajectory.params);
+
+    for (let i = 0; i <= samples; i++) {
+        const t = endTime * i / samples;
+        const s = stateAt(trajectory, t);
+        const ke = 0.5 * mass * (s.vx * s.vx + s.vy * s.vy + s.vz * s.vz);
+        const pe = -mass * (a.ax * s.x + a.ay * s.y);
+
+        data.times.push(t);
+        data.x.push(s.x);
+        data.y.push(s.y);
+        data.vx.push(s.vx);
+        data.vy.push(s.vy);
+        data.ke.push(ke);
+        data.pe.push(pe);
+        data.total.push(ke + pe);
+    }
+
+    data.endTime = endTime;
+    data.peakTime = trajectory.peak && trajectory.peak.t < endTime ? trajectory.peak.t : null;
+    data.impactTime = endTime >= trajectory.totalFlightTime ? trajectory.totalFlightTime : null;
+    return data;
+}
+
+/**
+ * Draw one plot from GRAPHS. `cursor` is the current time (null before launch):
+ * the curve is solid up to it and faint beyond, as a preview of what is coming.
+ */
+export function drawGraph(ctx, graph, data, cursor) {
+    const { width, height } = ctx.canvas;
+    const pad = { left: 36, right: 8, top: 18, bottom: 14 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Value range across all lines (always including zero)
+    let min = 0, max = 0;
+    graph.lines.forEach(line => data[line.key].forEach(v => {
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+    }));
+    if (max - min < 1e-9) max = min + 1;
+
+    const tEnd = data.endTime > 0 ? data.endTime : 1;
+    const toX = t => pad.left + (t / tEnd) * plotW;
+    const toY = v => pad.top + (1 - (v - min) / (max - min)) * plotH;
+
+    // Axes & zero line
+    ctx.strokeStyle = "#cbd5e1";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+    if (min < 0 && max > 0) {
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, toY(0));
+        ctx.lineTo(pad.left + plotW, toY(0));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Labels
+    ctx.font = "bold 11px Inter";
+    ctx.fillStyle = "#1e293b";
+    ctx.textAlign = "left";
+    ctx.fillText(`${graph.title} (${graph.unit})`, pad.left, 12);
+
+    ctx.font = "10px Inter";
+    ctx.fillStyle = "#64748b";
+    ctx.textAlign = "right";
+    ctx.fillText(formatTick(max), pad.left - 4, pad.top + 8);
+    ctx.fillText(formatTick(min), pad.left - 4, pad.top + plotH);
+
+    // Legend for multi-line plots
+    if (graph.lines.length > 1) {
+        let lx = width - pad.right;
+        [...graph.lines].reverse().forEach(line => {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.label, lx, 12);
+            lx -= ctx.measureText(line.label).width + 8;
+        });
+    }
+
+    // Peak / impact markers
+    [[data.peakTime, "#0ea5e9", "peak"], [data.impactTime, "#ef4444", "impact"]].forEach(([t, color, label]) => {
+        if (t === null) return;
+        ctx.strokeStyle = color;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(toX(t), pad.top);
+        ctx.lineTo(toX(t), pad.top + plotH);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        ctx.textAlign = "center";
+        ctx.fillText(label, Math.min(toX(t), width - 18), height - 2);
+    });
+
+    // Curves: faint preview, solid up to the cursor
+    graph.lines.forEach(line => {
+        const values = data[line.key];
+        strokeSeries(ctx, data.times, values, toX, toY, line.color, 0.25, Infinity);
+        if (cursor !== null) strokeSeries(ctx, data.times, values, toX, toY, line.color, 1, cursor);
+    });
+
+    // Cursor
+    if (cursor !== null) {
+        const cx = toX(Math.min(cursor, tEnd));
+        ctx.strokeStyle = "#0f172a";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(cx, pad.top);
+        ctx.lineTo(cx, pad.top + plotH);
+        ctx.stroke();
+    }
+}
+
+// Sweep plots: one stat of every run against the swept input
+export const SWEEP_GRAPHS = [
+    { id: 'range', title: 'Range', unit: 'm', key: 'maxRange', color: '#0284c7' },
+    { id: 'height', title: 'Max height', unit: 'm', key: 'maxAltitude', color: '#16a34a' },
+    { id: 'time', title: 'Flight time', unit: 's', key: 'totalFlightTime', color: '#f97316' }
+];
+
+/**
+ * Draw one plot from SWEEP_GRAPHS for a sweep (see sweepParameter). `marker` is
+ * `{ value, label }` or null, e.g. the optimum angle; `current` is the input's value now.
+ */
+export function drawSweepGraph(ctx, graph, sweep, { unit, marker = null, current = null }) {
+    const { width, height } = ctx.canvas;
+    const pad = { left: 36, right: 8, top: 18, bottom: 14 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    ctx.clearRect(0, 0, width, height);
+
+    const values = sweep.runs.map(run => run[graph.key]);
+    const min = Math.min(0, ...values);
+    let max = Math.max(0, ...values);
+    if (max - min < 1e-9) max = min + 1;
+
+    const lo = Math.min(sweep.from, sweep.to);
+    const hi = Math.max(sweep.from, sweep.to) > lo ? Math.max(sweep.from, sweep.to) : lo + 1;
+    const toX = v => pad.left + (v - lo) / (hi - lo) * plotW;
+    const toY = v => pad.top + (1 - (v - min) / (max - min)) * plotH;
+
+    ctx.strokeStyle = "#cbd5e1";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+
+    // Labels
+    ctx.font = "bold 11px Inter";
+    ctx.fillStyle = "#1e293b";
+    ctx.textAlign = "left";
+    ctx.fillText(`${graph.title} (${graph.unit})`, pad.left, 12);
+
+    ctx.font = "10px Inter";
+    ctx.fillStyle = "#64748b";
+    ctx.textAlign = "right";
+    ctx.fillText(formatTick(max), pad.left - 4, pad.top + 8);
+    ctx.fillText(formatTick(min), pad.left - 4, pad.top + plotH);
+    ctx.textAlign = "left";
+    ctx.fillText(formatTick(lo) + unit, pad.left, height - 2);
+    ctx.textAlign = "right";
+    ctx.fillText(formatTick(hi) + unit, width - pad.right, height - 2);
+
+    // Optimum (or other highlighted value)
+    if (marker) {
+        ctx.strokeStyle = "#ef4444";
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(toX(marker.value), pad.top);
+        ctx.lineTo(toX(marker.value), pad.top + plotH);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = "#ef4444";
+        ctx.textAlign = "center";
+        ctx.fillText(marker.label, Math.min(Math.max(toX(marker.value), pad.left + 16), width - 18), height - 2);
+    }
+
+    // Curve through every run
+    ctx.strokeStyle = graph.color;
+    ctx.fillStyle = graph.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    sweep.runs.forEach((run, i) => {
+        if (i === 0) ctx.moveTo(toX(run.value), toY(values[i]));
+        else ctx.lineTo(toX(run.value), toY(values[i]));
+    });
+    ctx.stroke();
+    if (sweep.runs.length <= 40) {
+        sweep.runs.forEach((run, i) => {
+            ctx.beginPath();
+            ctx.arc(toX(run.value), toY(values[i]), 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    // Where the setup is now
+    if (current !== null && current >= lo && current <= hi) {
+        ctx.strokeStyle = "#0f172a";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(toX(current), pad.top);
+        ctx.lineTo(toX(current), pad.top + plotH);
+        ctx.stroke();
+    }
+}
+
+// Residual plot colours for the two position components
+export const RESIDUAL_LINES = [
+    { key: 'dx', color: '#0284c7', label: 'Δx' },
+    { key: 'dy', color: '#16a34a', label: 'Δy' }
+];
+
+/**
+ * Draw the residuals of a curve fit (see fitLaunch): simulated minus measured x and y
+ * at each measured time, as dots around a zero line.
+ */
+export function drawResidualGraph(ctx, residuals) {
+    const { width, height } = ctx.canvas;
+    const pad = { left: 36, right: 8, top: 18, bottom: 14 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Symmetric about zero so over- and undershoot read the same
+    const extent = Math.max(...residuals.flatMap(r => [Math.abs(r.dx), Math.abs(r.dy)]), 1e-6);
+    const times = residuals.map(r => r.t);
+    const tStart = Math.min(...times);
+    const tEnd = Math.max(...times) > tStart ? Math.max(...times) : tStart + 1;
+    const toX = t => pad.left + (t - tStart) / (tEnd - tStart) * plotW;
+    const toY = v => pad.top + (1 - (v + extent) / (2 * extent)) * plotH;
+
+    ctx.strokeStyle = "#cbd5e1";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+    ctx.setLineDash([2, 3]);
+    ctx.beginPath();
+    ctx.moveTo(pad.left, toY(0));
+    ctx.lineTo(pad.left + plotW, toY(0));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Labels
+    ctx.font = "bold 11px Inter";
+    ctx.fillStyle = "#1e293b";
+    ctx.textAlign = "left";
+    ctx.fillText("Residuals (m)", pad.left, 12);
+
+    ctx.font = "10px Inter";
+    ctx.fillStyle = "#64748b";
+    ctx.textAlign = "right";
+    ctx.fillText(formatResidual(extent), pad.left - 4, pad.top + 8);
+    ctx.fillText(formatResidual(-extent), pad.left - 4, pad.top + plotH);
+    ctx.textAlign = "left";
+    ctx.fillText(formatTick(tStart) + " s", pad.left, height - 2);
+    ctx.textAlign = "right";
+    ctx.fillText(formatTick(tEnd) + " s", width - pad.right, height - 2);
+
+    let lx = width - pad.right;
+    [...RESIDUAL_LINES].reverse().forEach(line => {
+        ctx.fillStyle = line.color;
+        ctx.fillText(line.label, lx, 12);
+        lx -= ctx.measureText(line.label).width + 8;
+    });
+
+    RESIDUAL_LINES.forEach(line => {
+        ctx.fillStyle = line.color;
+        residuals.forEach(r => {
+            ctx.beginPath();
+            ctx.arc(toX(r.t), toY(r[line.key]), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+}
+
+/**
+ * Draw a histogram (see histogram() in dispersion.js) of landing ranges as bars, with the
+ * mean as a solid line and one standard deviation either side dashed.
+ */
+export function drawHistogram(ctx, hist, { mean, sd }) {
+    const { width, height } = ctx.canvas;
+    const pad = { left: 36, right: 8, top: 18, bottom: 14 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    ctx.clearRect(0, 0, width, height);
+
+    const peak = Math.max(...hist.counts, 1);
+    const toX = v => pad.left + (v - hist.from) / (hist.to - hist.from) * plotW;
+    const toY = count => pad.top + (1 - count / peak) * plotH;
+
+    ctx.strokeStyle = "#cbd5e1";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(pad.left, pad.top, plotW, plotH);
+
+    // Labels
+    ctx.font = "bold 11px Inter";
+    ctx.fillStyle = "#1e293b";
+    ctx.textAlign = "left";
+    ctx.fillText("Landing range (m)", pad.left, 12);
+
+    ctx.font = "10px Inter";
+    ctx.fillStyle = "#64748b";
+    ctx.textAlign = "right";
+    ctx.fillText(String(peak), pad.left - 4, pad.top + 8);
+    ctx.fillText("0", pad.left - 4, pad.top + plotH);
+    ctx.textAlign = "left";
+    ctx.fillText(formatTick(hist.from) + " m", pad.left, height - 2);
+    ctx.textAlign = "right";
+    ctx.fillText(formatTick(hist.to) + " m", width - pad.right, height - 2);
+
+    ctx.fillStyle = "rgba(14, 165, 233, 0.6)";
+    hist.counts.forEach((count, i) => {
+        const x0 = toX(hist.from + i * hist.width);
+        const x1 = toX(hist.from + (i + 1) * hist.width);
+        ctx.fillRect(x0 + 0.5, toY(count), Math.max(x1 - x0 - 1, 1), pad.top + plotH - toY(count));
+    });
+
+    // Mean ± σ
+    ctx.strokeStyle = "#ef4444";
+    [[mean, []], [mean - sd, [3, 3]], [mean + sd, [3, 3]]].forEach(([value, dash]) => {
+        if (value < hist.from || value > hist.to) return;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        ctx.moveTo(toX(value), pad.top);
+        ctx.lineTo(toX(value), pad.top + plotH);
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+}
+
+function strokeSeries(ctx, times, values, toX, toY, color, alpha, until) {
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < times.length && times[i] <= until; i++) {
+        if (i === 0) ctx.moveTo(toX(times[i]), toY(values[i]));
+        else ctx.lineTo(toX(times[i]), toY(values[i]));
+    }
+
+    // Finish exactly at the cursor between samples
+    const next = times.findIndex(t => t > until);
+    if (next > 0 && Number.isFinite(until)) {
+        const f = (until - times[next - 1]) / (times[next] - times[next - 1]);
+        ctx.lineTo(toX(until), toY(values[next - 1] + (values[next] - values[next - 1]) * f));
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+function formatTick(v) {
+    return Math.abs(v) >= 1000 ? (v / 1000).toFixed(1) + "k" : v.toFixed(Math.abs(v) < 10 ? 1 : 0);
+}
+
+// Residuals are often centimetres, so keep their significant digits
+function formatResidual(v) {
+    return Math.abs(v) >= 10 ? formatTick(v) : v.toPrecision(2);
+}
@@ -0,0 +1,709 @@
+// --- PROJECTILE PHYSICS ENGINE ---
+// Headless trajectory math shared by the canvas UI and anything else
+// (Node scripts, tests). Never touches the DOM.
+
+export const DEFAULT_DT = 0.01;   // Sample / RK4 step (s)
+export const MAX_SIM_TIME = 600;  // Safety cap for numerical runs (s)
+export const MAX_ROLL_DISTANCE = 1000; // A ball still rolling after this far (m) never stops, e.g. down a steep slope
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export const DEFAULT_DRAG = { model: 'none', mass: 0.45, cd: 0.47, area: 0.038, rho: 1.225 };
+
+export const TERRAIN_TYPES = ['flat', 'incline', 'step', 'custom'];
+
+// restitution 0 = the projectile stops where it lands
+export const DEFAULT_BOUNCE = { restitution: 0, friction: 0, roll: false, maxBounces: 50 };
+
+// Air velocity (m/s); only felt through drag. vz is a crosswind
+export const DEFAULT_WIND = { vx: 0, vy: 0, vz: 0 };
+
+// Extra constant acceleration on top of gravity (m/s²), e.g. a charge in an electric field
+export const DEFAULT_FIELD = { ax: 0, ay: 0 };
+
+// rate in rpm, positive for backspin; tilt (deg) leans the spin axis so the ball curves
+// to the right (positive) or left. Only felt through the air, like wind
+export const DEFAULT_SPIN = { rate: 0, tilt: 0 };
+
+const MIN_BOUNCE_SPEED = 0.2; // Rebounds slower than this (m/s) count as settled
+
+/**
+ * Fill in defaults and reject values the math cannot handle.
+ * @param {{v0: number, angle: number, azimuth?: number, g: number, h0?: number, launcherVx?: number, drag?: object, wind?: object, spin?: object, field?: object, terrain?: object, bounce?: object}} params
+ *        Speed (m/s), angle above horizontal (deg), azimuth to the right of downrange (deg, turns the
+ *        launch sideways into z), gravity (m/s²), launch height above the ground (m),
+ *        horizontal velocity of the launcher itself (m/s, added to the launch velocity), optional drag
+ *        `{ model: 'none'|'linear'|'quadratic', mass, cd, area, rho }`, optional wind `{ vx, vy, vz }`,
+ *        optional spin `{ rate, tilt }` (see DEFAULT_SPIN; the ball's radius comes from drag.area),
+ *        optional extra constant acceleration `field: { ax, ay }`,
+ *        optional terrain (see groundHeight) and optional bounce
+ *        `{ restitution: 0-1, friction: μ >= 0, roll: boolean, maxBounces }`.
+ */
+export function normalizeParams(params) {
+    const p = {
+        v0: params.v0,
+        angle: params.angle,
+        azimuth: params.azimuth ?? 0,
+        g: params.g,
+        h0: params.h0 ?? 0,
+        launcherVx: params.launcherVx ?? 0,
+        drag: { ...DEFAULT_DRAG, ...params.drag },
+        wind: { ...DEFAULT_WIND, ...params.wind },
+        spin: { ...DEFAULT_SPIN, ...params.spin },
+        field: { ...DEFAULT_FIELD, ...params.field },
+        terrain: normalizeTerrain(params.terrain),
+        bounce: { ...DEFAULT_BOUNCE, ...params.bounce }
+    };
+
+    for (const key of ['v0', 'angle', 'azimuth', 'g', 'h0', 'launcherVx']) {
+        if (!Number.isFinite(p[key])) throw new RangeError(`${key} must be a finite number`);
+    }
+    if (p.g <= 0) throw new RangeError('g must be positive');
+    if (p.v0 < 0) throw new RangeError('v0 must not be negative');
+    if (p.h0 < 0) throw new RangeError('h0 must not be negative');
+
+    if (!['none', 'linear', 'quadratic'].includes(p.drag.model)) {
+        throw new RangeError(`Unknown drag model "${p.drag.model}"`);
+    }
+    if (p.drag.model !== 'none') {
+        const { mass, cd, area, rho } = p.drag;
+        if (![mass, cd, area, rho].every(Number.isFinite)) throw new RangeError('drag values must be finite numbers');
+        if (!(mass > 0)) throw new RangeError('drag.mass must be positive');
+        // A negative Cd or area would push the ball along; rho is 0 on the Moon
+        if (!(cd > 0) || !(area > 0)) throw new RangeError('drag.cd and drag.area must be positive');
+        if (rho < 0) throw new RangeError('drag.rho must not be negative');
+    }
+
+    if (![p.wind.vx, p.wind.vy, p.wind.vz, p.field.ax, p.field.ay].every(Number.isFinite)) {
+        throw new RangeError('wind and field components must be finite numbers');
+    }
+    if (!Number.isFinite(p.spin.rate) || !Number.isFinite(p.spin.tilt)) {
+        throw new RangeError('spin.rate and spin.tilt must be finite numbers');
+    }
+    if (p.field.ay >= p.g) throw new RangeError('field.ay must be less than g so the projectile comes back down');
+
+    const { restitution, friction, roll } = p.bounce;
+    if (!(restitution >= 0 && restitution <= 1)) throw new RangeError('bounce.restitution must be between 0 and 1');
+    if (!(friction >= 0)) throw new RangeError('bounce.friction must not be negative');
+    if (roll && friction === 0) throw new RangeError('bounce.roll needs friction to ever stop');
+
+    return p;
+}
+
+// Validate a terrain description; defaults to flat ground
+export function normalizeTerrain(terrain = { type: 'flat' }) {
+    const { type } = terrain;
+
+    if (type === 'flat') return { type };
+    if (type === 'incline') {
+        if (!(Math.abs(terrain.angle) < 90)) throw new RangeError('terrain.angle must be between -90 and 90');
+        return { type, angle: terrain.angle };
+    }
+    if (type === 'step') {
+        if (!Number.isFinite(terrain.x) || !Number.isFinite(terrain.height)) {
+            throw new RangeError('terrain.x and terrain.height must be finite numbers');
+        }
+        return { type, x: terrain.x, height: terrain.height };
+    }
+    if (type === 'custom') {
+        const points = (terrain.points || []).map(({ x, y }) => ({ x, y }));
+        if (points.length < 2 || !points.every(pt => Number.isFinite(pt.x) && Number.isFinite(pt.y))) {
+            throw new RangeError('terrain.points needs at least two finite { x, y } points');
+        }
+        points.sort((a, b) => a.x - b.x);
+        return { type, points };
+    }
+    throw new RangeError(`Unknown terrain type "${type}"`);
+}
+
+/**
+ * Ground height (m) at horizontal position x for a normalized terrain:
+ * `flat` (y = 0), `incline` ({ angle } in deg, negative slopes downhill),
+ * `step` (a cliff at { x } rising by { height }, negative drops) or
+ * `custom` (piecewise-linear { points }, flat beyond either end).
+ */
+export function groundHeight(terrain, x) {
+    if (terrain.type === 'incline') return x * Math.tan(terrain.angle * DEG_TO_RAD);
+    if (terrain.type === 'step') return x >= terrain.x ? terrain.height : 0;
+    if (terrain.type === 'custom') {
+        const pts = terrain.points;
+        if (x <= pts[0].x) return pts[0].y;
+        for (let i = 1; i < pts.length; i++) {
+            if (x <= pts[i].x) {
+                const a = pts[i - 1];
+                const b = pts[i];
+                return b.x === a.x ? b.y : a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+            }
+        }
+        return pts[pts.length - 1].y;
+    }
+    return 0;
+}
+
+/**
+ * Run a launch to impact with the ground, or until it comes to rest when bouncing.
+ * Returns the stats plus states `{ t, x, y, z, vx, vy, vz }` sampled every `dt` seconds, ending
+ * exactly at impact / rest: `{ params, vx, vy, vz, dt, points, peak, hops, roll, settled,
+ * totalFlightTime, maxAltitude, maxRange, lateral }`. x is downrange, y up and z sideways (positive
+ * to the right looking downrange); the ground only varies with x. `maxRange` and `lateral` are x and
+ * z at rest. `hops` has one `{ t, time, range, apex, peak }` per flight (the launch, then each bounce);
+ * `roll` is `{ t, time, distance }` once the bounces die out, or null. `settled` is false when the run
+ * was cut off instead: still in the air at MAX_SIM_TIME, or still rolling after MAX_ROLL_DISTANCE.
+ */
+export function simulate(params, { dt = DEFAULT_DT } = {}) {
+    const p = normalizeParams(params);
+
+    const launch = launchVelocity(p);
+
+    const solution = p.drag.model === 'none'
+        ? solveVacuum(p, launch, dt)
+        : integrateFlight(p, { t: 0, x: 0, y: launchHeight(p), z: 0, ...launch }, dt);
+
+    const points = solution.points;
+    const hops = [hopStats(solution)];
+    const after = p.bounce.restitution > 0 && solution.landed
+        ? continueAfterImpact(p, points, hops, dt)
+        : { roll: null, settled: solution.landed };
+
+    const rest = points[points.length - 1];
+    return {
+        params: p,
+        ...launch,
+        dt,
+        points,
+        peak: solution.peak,
+        hops,
+        roll: after.roll,
+        settled: after.settled,
+        totalFlightTime: rest.t,
+        maxAltitude: Math.max(...hops.map(hop => hop.apex)),
+        maxRange: rest.x,
+        lateral: rest.z
+    };
+}
+
+/**
+ * Position & velocity at time t (clamped to the flight).
+ * Exact for a single vacuum flight, interpolated between samples otherwise.
+ */
+export function stateAt(trajectory, t) {
+    const time = Math.min(Math.max(t, 0), trajectory.totalFlightTime);
+    const { drag, bounce } = trajectory.params;
+
+    if (drag.model === 'none' && bounce.restitution === 0) {
+        return vacuumState(trajectory.params, trajectory, time);
+    }
+
+    const pts = trajectory.points;
+    if (pts.length < 2) return pts[0];
+
+    // Samples restart at every bounce, so search rather than index by dt
+    let lo = 0, hi = pts.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (pts[mid].t <= time) lo = mid;
+        else hi = mid;
+    }
+    const a = pts[lo];
+    const b = pts[hi];
+    if (b.t === a.t) return b;
+
+    return lerpState(a, b, Math.min(Math.max((time - a.t) / (b.t - a.t), 0), 1));
+}
+
+/**
+ * First state where the projectile reaches horizontal position x, or null if it lands first.
+ */
+export function stateAtX(trajectory, x) {
+    const pts = trajectory.points;
+    if (x < pts[0].x) return null;
+
+    for (let i = 1; i < pts.length; i++) {
+        const a = pts[i - 1];
+        const b = pts[i];
+        if (b.x >= x) {
+            return b.x === a.x ? a : lerpState(a, b, (x - a.x) / (b.x - a.x));
+        }
+    }
+    return null;
+}
+
+/**
+ * Gravity plus the constant field `{ ax, ay, az }` (m/s²): the part of the acceleration
+ * that has a potential, so PE = -m (ax x + ay y). The field has no sideways part, so az is 0.
+ */
+export function constantAcceleration(params) {
+    return netField(normalizeParams(params));
+}
+
+/**
+ * Net acceleration `{ ax, ay, az }` of a projectile in flight at `state` (gravity, field and drag).
+ */
+export function accelerationAt(params, state) {
+    const p = normalizeParams(params);
+    if (p.drag.model === 'none') return netField(p);
+    return dragAcceleration(p, state.vx, state.vy, state.vz ?? 0);
+}
+
+/**
+ * Launch angles (deg) that pass through the point (x, y) at the fixed speed params.v0.
+ * Returns { low, high } (equal when only one exists) or null if the point is unreachable.
+ * Closed form in vacuum over flat ground from a fixed launcher aimed straight downrange with no sideways field;
+ * otherwise scans the angle range and bisects each crossing.
+ */
+export function solveLaunchAngles(params, target) {
+    // Aim for the first flight only: a bounce that reaches the point does not count
+    const p = normalizeParams({ ...params, angle: 0, bounce: { restitution: 0 } });
+    const { x, y } = target;
+    if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0) {
+        throw new RangeError('target must have finite x >= 0 and y');
+    }
+
+    if (p.drag.model === 'none' && p.terrain.type === 'flat' && p.launcherVx === 0 && p.field.ax === 0 && p.azimuth === 0) {
+        return solveVacuumAngles(p, x, y);
+    }
+
+    // Height error at x for a given angle (-Infinity if it lands short)
+    const miss = angle => {
+        const hit = stateAtX(simulate({ ...p, angle }), x);
+        return hit ? hit.y - y : -Infinity;
+    };
+
+    const roots = [];
+    let prevAngle = -89;
+    let prevMiss = miss(prevAngle);
+    for (let angle = -88; angle <= 89; angle++) {
+        const m = miss(angle);
+        if (Math.sign(m) !== Math.sign(prevMiss)) {
+            // Bisect the bracket
+            let lo = prevAngle, hi = angle, loMiss = prevMiss;
+            for (let i = 0; i < 30; i++) {
+                const mid = (lo + hi) / 2;
+                const midMiss = miss(mid);
+                if (Math.sign(midMiss) === Math.sign(loMiss)) {
+                    lo = mid;
+                    loMiss = midMiss;
+                } else {
+                    hi = mid;
+                }
+            }
+            roots.push((lo + hi) / 2);
+        }
+        prevAngle = angle;
+        prevMiss = m;
+    }
+
+    if (roots.length === 0) return null;
+    return { low: roots[0], high: roots[roots.length - 1] };
+}
+
+// Gravity + field for already normalized params
+function netField(p) {
+    return { ax: p.field.ax, ay: p.field.ay - p.g, az: 0 };
+}
+
+// Ground-frame launch velocity: aimed at v0 and turned sideways by the azimuth, carried along by the launcher
+function launchVelocity(p) {
+    const angleRad = p.angle * DEG_TO_RAD;
+    const azimuthRad = p.azimuth * DEG_TO_RAD;
+    const horizontal = p.v0 * Math.cos(angleRad);
+    return {
+        vx: horizontal * Math.cos(azimuthRad) + p.launcherVx,
+        vy: p.v0 * Math.sin(angleRad),
+        vz: horizontal * Math.sin(azimuthRad)
+    };
+}
+
+// Absolute launch height: the platform stands on the ground at x = 0
+function launchHeight(p) {
+    return groundHeight(p.terrain, 0) + p.h0;
+}
+
+function aboveGround(p, s) {
+    return s.y >= groundHeight(p.terrain, s.x);
+}
+
+// True when the ground just ahead is a cliff face above the projectile
+function hitsFace(p, s) {
+    const ahead = groundHeight(p.terrain, s.x + Math.sign(s.vx) * 1e-6);
+    return ahead > s.y + 1e-3;
+}
+
+// Bisect the last step for the moment the projectile meets the ground.
+// `stateAfter(h)` is the state h seconds into a step that starts above ground
+// and ends below it; works for cliff faces too, where the ground jumps.
+function refineImpact(p, stateAfter, dt) {
+    let lo = 0, hi = dt;
+    for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        if (aboveGround(p, stateAfter(mid))) lo = mid;
+        else hi = mid;
+    }
+
+    // Sit exactly on the surface unless stopped against a cliff face
+    const impact = stateAfter(lo);
+    if (!hitsFace(p, impact)) impact.y = groundHeight(p.terrain, impact.x);
+    return impact;
+}
+
+// --- Vacuum (closed form) ---
+
+// `launch` holds the launch velocity { vx, vy, vz }
+function vacuumState(p, launch, t) {
+    const { ax, ay, az } = netField(p);
+    const { vx, vy, vz } = launch;
+    return {
+        t,
+        x: vx * t + 0.5 * ax * t * t,
+        y: launchHeight(p) + (vy * t) + (0.5 * ay * t * t),
+        z: vz * t + 0.5 * az * t * t,
+        vx: vx + ax * t,
+        vy: vy + ay * t,
+        vz: vz + az * t
+    };
+}
+
+function solveVacuum(p, launch, dt) {
+    // Uneven ground has no closed-form impact: step until it is found
+    if (p.terrain.type !== 'flat') return integrateFlight(p, vacuumState(p, launch, 0), dt);
+
+    const { vy } = launch;
+    const { h0 } = p;
+    const g = -netField(p).ay; // Net downward pull (gravity less any upward field)
+
+    // 1. Max Height (only if the projectile rises)
+    const tPeak = vy / g;
+    const peak = tPeak > 0 ? vacuumState(p, launch, tPeak) : null;
+
+    // 2. Time of Flight
+    // y(t) = h0 + vy*t - 0.5*g*t^2 = 0  →  t = (vy + sqrt(vy^2 + 2*g*h0)) / g
+    // The discriminant is never negative for h0 >= 0, so the larger root is the impact.
+    const discriminant = vy * vy + 2 * g * h0;
+    const flightTime = Math.max((vy + Math.sqrt(discriminant)) / g, 0);
+
+    // 3. Samples, closed with the exact impact point
+    const points = [];
+    for (let i = 0; i * dt < flightTime; i++) {
+        points.push(vacuumState(p, launch, i * dt));
+    }
+    points.push({ ...vacuumState(p, launch, flightTime), y: 0 });
+
+    return { points, peak, landed: true };
+}
+
+function solveVacuumAngles(p, x, y) {
+    const { v0 } = p;
+    const g = -netField(p).ay;
+    const dy = y - launchHeight(p);
+    const v2 = v0 * v0;
+
+    // Straight up / down
+    if (x === 0) {
+        if (dy > v2 / (2 * g)) return null;
+        return dy >= 0 ? { low: 90, high: 90 } : { low: -90, high: 90 };
+    }
+
+    // tan θ = (v² ± sqrt(v⁴ - g(g x² + 2 dy v²))) / (g x)
+    const discriminant = v2 * v2 - g * (g * x * x + 2 * dy * v2);
+    if (discriminant < 0) return null;
+
+    const root = Math.sqrt(discriminant);
+    return {
+        low: Math.atan((v2 - root) / (g * x)) / DEG_TO_RAD,
+        high: Math.atan((v2 + root) / (g * x)) / DEG_TO_RAD
+    };
+}
+
+// --- Air Resistance (RK4) ---
+
+// Net acceleration (gravity + field + drag) for a given velocity; drag acts on the velocity through the air
+function dragAcceleration(p, v_x, v_y, v_z) {
+    const { mass, cd, area, rho } = p.drag;
+    const { wind } = p;
+    const k = 0.5 * rho * cd * area / mass; // 1/m
+    const rx = v_x - wind.vx;
+    const ry = v_y - wind.vy;
+    const rz = v_z - wind.vz;
+
+    // Quadratic: F = ½ρCdA|v|v. Linear: same coefficient linearised
+    // at the launch speed (relative to the air), so both models start with equal drag force.
+    const launch = launchVelocity(p);
+    const factor = p.drag.model === 'quadratic'
+        ? k * Math.hypot(rx, ry, rz)
+        : k * Math.hypot(launch.vx - wind.vx, launch.vy - wind.vy, launch.vz - wind.vz);
+    const lift = magnusAcceleration(p, rx, ry, rz);
+    return {
+        ax: p.field.ax - factor * rx + lift.ax,
+        ay: p.field.ay - p.g - factor * ry + lift.ay,
+        az: -factor * rz + lift.az
+    };
+}
+
+// Magnus lift F = ½ρA·C_L·|v|²·(ω̂ × v̂), with v relative to the air and C_L from the spin
+// parameter S = rω/|v| (Sawicki et al.'s baseball fit, close enough for any ball)
+function magnusAcceleration(p, rx, ry, rz) {
+    const speed = Math.hypot(rx, ry, rz);
+    if (p.spin.rate === 0 || speed === 0) return { ax: 0, ay: 0, az: 0 };
+
+    const { mass, area, rho } = p.drag;
+    const omega = Math.abs(p.spin.rate) * 2 * Math.PI / 60; // rad/s
+    const s = Math.sqrt(area / Math.PI) * omega / speed;
+    const cl = 1 / (2.32 + 0.4 / s);
+    const k = 0.5 * rho * area * cl * speed / mass; // × |v| × (ω̂ × v̂) = × (ω̂ × v)
+
+    const w = spinAxis(p);
+    return { ax: k * (w.y * rz - w.z * ry), ay: k * (w.z * rx - w.x * rz), az: k * (w.x * ry - w.y * rx) };
+}
+
+// Unit spin axis, fixed for the flight. Backspin turns about the horizontal line to the
+// right of the aim (so the lift is up); tilting it towards straight down curves the ball right
+function spinAxis(p) {
+    const azimuthRad = p.azimuth * DEG_TO_RAD;
+    const tiltRad = p.spin.tilt * DEG_TO_RAD;
+    const sign = Math.sign(p.spin.rate);
+    return {
+        x: -sign * Math.cos(tiltRad) * Math.sin(azimuthRad),
+        y: -sign * Math.sin(tiltRad),
+        z: sign * Math.cos(tiltRad) * Math.cos(azimuthRad)
+    };
+}
+
+function rk4Step(p, s, dt) {
+    const k1 = dragAcceleration(p, s.vx, s.vy, s.vz);
+    const k2 = dragAcceleration(p, s.vx + k1.ax * dt / 2, s.vy + k1.ay * dt / 2, s.vz + k1.az * dt / 2);
+    const k3 = dragAcceleration(p, s.vx + k2.ax * dt / 2, s.vy + k2.ay * dt / 2, s.vz + k2.az * dt / 2);
+    const k4 = dragAcceleration(p, s.vx + k3.ax * dt, s.vy + k3.ay * dt, s.vz + k3.az * dt);
+
+    // Position derivative is velocity at each stage
+    const v2x = s.vx + k1.ax * dt / 2, v2y = s.vy + k1.ay * dt / 2, v2z = s.vz + k1.az * dt / 2;
+    const v3x = s.vx + k2.ax * dt / 2, v3y = s.vy + k2.ay * dt / 2, v3z = s.vz + k2.az * dt / 2;
+    const v4x = s.vx + k3.ax * dt, v4y = s.vy + k3.ay * dt, v4z = s.vz + k3.az * dt;
+
+    return {
+        t: s.t + dt,
+        x: s.x + dt / 6 * (s.vx + 2 * v2x + 2 * v3x + v4x),
+        y: s.y + dt / 6 * (s.vy + 2 * v2y + 2 * v3y + v4y),
+        z: s.z + dt / 6 * (s.vz + 2 * v2z + 2 * v3z + v4z),
+        vx: s.vx + dt / 6 * (k1.ax + 2 * k2.ax + 2 * k3.ax + k4.ax),
+        vy: s.vy + dt / 6 * (k1.ay + 2 * k2.ay + 2 * k3.ay + k4.ay),
+        vz: s.vz + dt / 6 * (k1.az + 2 * k2.az + 2 * k3.az + k4.az)
+    };
+}
+
+// Advance a flight by h seconds: exact in vacuum, one RK4 step with drag
+function ballisticStep(p, s, h) {
+    if (p.drag.model !== 'none') return rk4Step(p, s, h);
+    const { ax, ay, az } = netField(p);
+    return {
+        t: s.t + h,
+        x: s.x + s.vx * h + 0.5 * ax * h * h,
+        y: s.y + s.vy * h + 0.5 * ay * h * h,
+        z: s.z + s.vz * h + 0.5 * az * h * h,
+        vx: s.vx + ax * h,
+        vy: s.vy + ay * h,
+        vz: s.vz + az * h
+    };
+}
+
+function lerpState(a, b, f) {
+    return {
+        t: a.t + (b.t - a.t) * f,
+        x: a.x + (b.x - a.x) * f,
+        y: a.y + (b.y - a.y) * f,
+        z: a.z + (b.z - a.z) * f,
+        vx: a.vx + (b.vx - a.vx) * f,
+        vy: a.vy + (b.vy - a.vy) * f,
+        vz: a.vz + (b.vz - a.vz) * f
+    };
+}
+
+// One flight from any state until it meets the ground (`landed`), or until MAX_SIM_TIME
+function integrateFlight(p, start, dt) {
+    let s = start;
+    const points = [s];
+    let peak = null;
+    let landed = false;
+
+    while (s.t < MAX_SIM_TIME) {
+        const next = ballisticStep(p, s, dt);
+
+        // Apex: vy changes sign within this step
+        if (s.vy > 0 && next.vy <= 0) {
+            peak = ballisticStep(p, s, dt * s.vy / (s.vy - next.vy));
+        }
+
+        // Impact: y crosses ground within this step
+        if (!aboveGround(p, next)) {
+            const from = s;
+            const impact = refineImpact(p, h => ballisticStep(p, from, h), dt);
+            if (peak && peak.t > impact.t) peak = null;
+            points.push(impact);
+            landed = true;
+            break;
+        }
+
+        points.push(next);
+        s = next;
+    }
+
+    return { points, peak, landed };
+}
+
+// --- Bounces & Rolling ---
+
+function hopStats({ points, peak }) {
+    const start = points[0];
+    const end = points[points.length - 1];
+    return {
+        t: start.t,
+        time: end.t - start.t,
+        range: end.x - start.x,
+        apex: peak ? peak.y : Math.max(start.y, end.y),
+        peak
+    };
+}
+
+// Slope of the ground (dy/dx); cliff faces are handled separately by hitsFace
+function groundSlope(terrain, x) {
+    if (terrain.type === 'flat' || terrain.type === 'step') return 0;
+    return (groundHeight(terrain, x + 1e-6) - groundHeight(terrain, x - 1e-6)) / 2e-6;
+}
+
+// Velocity just after a ground contact: the normal part reverses and shrinks by
+// the restitution, friction takes up to μ × the normal impulse off the sliding part
+// (along the ground and sideways together, since the ground only varies with x).
+function rebound(p, s) {
+    const { restitution: e, friction: mu } = p.bounce;
+
+    // Unit normal out of the surface
+    let nx, ny;
+    if (hitsFace(p, s)) {
+        nx = -Math.sign(s.vx);
+        ny = 0;
+    } else {
+        const slope = groundSlope(p.terrain, s.x);
+        const len = Math.hypot(1, slope);
+        nx = -slope / len;
+        ny = 1 / len;
+    }
+
+    const vn = s.vx * nx + s.vy * ny; // < 0 into the surface
+    const vt = s.vx * ny - s.vy * nx; // along the tangent (ny, -nx)
+    const vnOut = -e * vn;
+    const slide = Math.hypot(vt, s.vz);
+    const keep = slide > 0 ? Math.max(slide - mu * (1 + e) * Math.abs(vn), 0) / slide : 0;
+    const vtOut = vt * keep;
+
+    return {
+        state: { ...s, vx: vnOut * nx + vtOut * ny, vy: vnOut * ny - vtOut * nx, vz: s.vz * keep },
+        settled: vnOut < MIN_BOUNCE_SPEED && ny > 0
+    };
+}
+
+// Bounce (and roll) from the last impact in `points` until the projectile rests, or until
+// MAX_SIM_TIME or MAX_ROLL_DISTANCE cuts it off. Appends to points / hops in place and
+// returns `{ roll, settled }`, with settled false for a run that was cut off.
+function continueAfterImpact(p, points, hops, dt) {
+    let roll = null;
+
+    while (points[points.length - 1].t < MAX_SIM_TIME) {
+        const contact = rebound(p, points[points.length - 1]);
+
+        if (!contact.settled && hops.length <= p.bounce.maxBounces) {
+            const hop = integrateFlight(p, contact.state, dt);
+            points.push(...hop.points);
+            hops.push(hopStats(hop));
+            continue;
+        }
+        if (!p.bounce.roll) break;
+
+        const rolled = rollAlongGround(p, contact.state, dt, MAX_ROLL_DISTANCE - (roll ? roll.distance : 0));
+        if (rolled.points.length === 0) break;
+        points.push(...rolled.points);
+        roll = roll || { t: contact.state.t, time: 0, distance: 0 };
+        roll.time = points[points.length - 1].t - roll.t;
+        roll.distance += rolled.distance;
+        if (!rolled.airborne) break;
+
+        // Rolled off a drop: fly again from the edge
+        const hop = integrateFlight(p, points[points.length - 1], dt);
+        points.push(...hop.points.slice(1));
+        hops.push(hopStats(hop));
+    }
+
+    // Come to rest where it settled; a run that was cut off keeps moving
+    const last = points[points.length - 1];
+    const settled = last.t < MAX_SIM_TIME && !(roll && roll.distance >= MAX_ROLL_DISTANCE);
+    if (settled && (last.vx !== 0 || last.vy !== 0 || last.vz !== 0)) {
+        points.push({ ...last, vx: 0, vy: 0, vz: 0 });
+    }
+
+    return { roll, settled };
+}
+
+// Slide along the surface under gravity and rolling friction μ (no air drag)
+// until static friction holds it, until it runs off a drop or once it has gone `limit` metres.
+function rollAlongGround(p, start, dt, limit) {
+    const { terrain } = p;
+    const { ax, ay } = netField(p);
+    const mu = p.bounce.friction;
+    const points = [];
+    let { t, x, y, z } = start;
+    let distance = 0;
+
+    // Signed speed along the ground (positive towards +x) and sideways
+    const slope0 = groundSlope(terrain, x);
+    let u = (start.vx + start.vy * slope0) / Math.hypot(1, slope0);
+    let w = start.vz;
+
+    while (t < MAX_SIM_TIME && distance < limit) {
+        const slope = groundSlope(terrain, x);
+        const cos = 1 / Math.hypot(1, slope);
+        const sin = slope * cos;
+
+        // Pull along the ground and how hard it presses into it (per unit mass)
+        const along = ax * cos + ay * sin;
+        const normal = Math.max(ax * sin - ay * cos, 0);
+        const speed = Math.hypot(u, w);
+        if (speed === 0 && Math.abs(along) <= mu * normal) break;
+
+        // Direction of sliding (downhill when starting from rest)
+        const dirU = speed > 0 ? u / speed : Math.sign(along);
+        const dirW = speed > 0 ? w / speed : 0;
+
+        // Friction can stop the ball within a step but never push it backwards
+        let uNext = u + (along - mu * normal * dirU) * dt;
+        let wNext = w - mu * normal * dirW * dt;
+        if (uNext * dirU + wNext * dirW <= 0) uNext = wNext = 0;
+
+        const step = (u + uNext) / 2 * dt;
+        const side = (w + wNext) / 2 * dt;
+        const nextX = x + step * cos;
+        const nextY = y + step * sin;
+        const ground = groundHeight(terrain, nextX);
+        t += dt;
+        z += side;
+
+        if (ground < nextY - 0.01) {
+            // Edge of a drop: leave the ground
+            points.push({ t, x: nextX, y: nextY, z, vx: uNext * cos, vy: uNext * sin, vz: wNext });
+            return { points, distance: distance + Math.hypot(step, side), airborne: true };
+        }
+        if (ground > nextY + 0.01) {
+            // Rolled into a cliff face: knock back, still sliding sideways
+            u = -p.bounce.restitution * uNext;
+            w = wNext;
+            points.push({ t, x, y, z, vx: u * cos, vy: u * sin, vz: w });
+            continue;
+        }
+
+        distance += Math.hypot(step, side);
+        x = nextX;
+        y = ground;
+        u = uNext;
+        w = wNext;
+        points.push({ t, x, y, z, vx: u * cos, vy: u * sin, vz: w });
+    }
+
+    return { points, distance, airborne: false };
+}
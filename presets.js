@@ -0,0 +1,103 @@
+// --- SHAREABLE SETUPS ---
+// A "setup" is a flat object of control values (numbers, booleans, strings).
+// Encodes setups into URL hashes and keeps a named preset library in a
+// Storage-like object.
+
+export const PRESET_STORAGE_KEY = 'projectile-lab-presets';
+const PRESET_FILE_VERSION = 1;
+
+/**
+ * URL hash fragment (without '#') holding only the values that differ from `defaults`,
+ * so a default setup encodes to an empty string.
+ */
+export function encodeSetup(setup, defaults) {
+    const query = new URLSearchParams();
+    Object.keys(defaults).forEach(key => {
+        const value = setup[key];
+        if (value === undefined || value === defaults[key]) return;
+        query.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+    });
+    return query.toString();
+}
+
+/**
+ * Setup from a hash fragment (leading '#' optional). Keys missing from `defaults`
+ * and values that do not parse as the default's type are dropped.
+ */
+export function decodeSetup(hash, defaults) {
+    const query = new URLSearchParams(hash.replace(/^#/, ''));
+    const setup = {};
+    query.forEach((raw, key) => {
+        if (!(key in defaults)) return;
+        const value = coerce(raw, defaults[key]);
+        if (value !== undefined) setup[key] = value;
+    });
+    return setup;
+}
+
+// Saved presets ([{ name, setup }]); an unreadable library counts as empty
+export function loadPresets(storage) {
+    try {
+        const list = JSON.parse(storage.getItem(PRESET_STORAGE_KEY));
+        return Array.isArray(list) ? list.filter(isPreset) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function savePresets(storage, presets) {
+    storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+// Insert or replace (by name) and keep the list sorted
+export function upsertPreset(presets, name, setup) {
+    const others = presets.filter(preset => preset.name !== name);
+    return [...others, { name, setup }].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function presetsToJSON(presets) {
+    return JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Presets from an exported file, with each setup cleaned against `defaults`.
+ * Throws a TypeError when the text is not a preset file.
+ */
+export function parsePresetFile(text, defaults) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new TypeError('Preset file is not valid JSON');
+    }
+    if (!data || !Array.isArray(data.presets)) throw new TypeError('Preset file has no "presets" list');
+
+    return data.presets.filter(isPreset).map(({ name, setup }) => ({ name, setup: cleanSetup(setup, defaults) }));
+}
+
+// Keep only known keys, each coerced to its default's type
+export function cleanSetup(setup, defaults) {
+    return Object.fromEntries(Object.entries(setup)
+        .filter(([key]) => key in defaults)
+        .map(([key, value]) => [key, coerce(String(value), defaults[key])])
+        .filter(([, value]) => value !== undefined));
+}
+
+function isPreset(preset) {
+    return preset && typeof preset.name === 'string' && preset.name !== '' &&
+        preset.setup !== null && typeof preset.setup === 'object';
+}
+
+// Parse a string as the same type as `example`; undefined if it does not fit
+function coerce(raw, example) {
+    if (typeof example === 'number') {
+        const value = parseFloat(raw);
+        return Number.isFinite(value) ? value : undefined;
+    }
+    if (typeof example === 'boolean') {
+        if (raw === '1' || raw === 'true') return true;
+        if (raw === '0' || raw === 'false') return false;
+        return undefined;
+    }
+    return raw;
+}
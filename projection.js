@@ -0,0 +1,58 @@
+// --- 3D PROJECTION ---
+// Orthographic camera for drawing 3D runs on a plain 2D canvas: world points
+// (x downrange, y up, z sideways) to flat view coordinates, for the orbit view
+// and the fixed top-down and side views. No WebGL, just a rotation.
+
+// Camera angles (deg) of the fixed views, and where the orbit view starts.
+// yaw turns the camera around the vertical axis (0 looks across the flight from +z),
+// pitch raises it (90 looks straight down).
+export const VIEW_ANGLES = {
+    orbit: { yaw: -35, pitch: 25 },
+    top: { yaw: 0, pitch: 90 },
+    side: { yaw: 0, pitch: 0 }
+};
+
+/**
+ * Camera looking at the origin from the direction given by `yaw` and `pitch` (deg).
+ * `right`, `up` and `toward` (pointing at the viewer) are unit vectors `{ x, y, z }`.
+ */
+export function createCamera({ yaw, pitch }) {
+    const clamped = Math.min(Math.max(pitch, -90), 90);
+    const a = yaw * Math.PI / 180;
+    const b = clamped * Math.PI / 180;
+    const toward = { x: Math.cos(b) * Math.sin(a), y: Math.sin(b), z: Math.cos(b) * Math.cos(a) };
+    const right = { x: Math.cos(a), y: 0, z: -Math.sin(a) };
+    return { yaw, pitch: clamped, right, up: cross(toward, right), toward };
+}
+
+/**
+ * View coordinates of a world point: `{ u, v, depth }` in metres, with u to the right,
+ * v up and depth growing towards the viewer (for drawing far things first).
+ */
+export function projectPoint(camera, pt) {
+    return { u: dot(camera.right, pt), v: dot(camera.up, pt), depth: dot(camera.toward, pt) };
+}
+
+/**
+ * Smallest box `{ minU, maxU, minV, maxV }` around the projected points, or null for none.
+ */
+export function projectedBounds(camera, points) {
+    if (points.length === 0) return null;
+    const box = { minU: Infinity, maxU: -Infinity, minV: Infinity, maxV: -Infinity };
+    points.forEach(pt => {
+        const { u, v } = projectPoint(camera, pt);
+        box.minU = Math.min(box.minU, u);
+        box.maxU = Math.max(box.maxU, u);
+        box.minV = Math.min(box.minV, v);
+        box.maxV = Math.max(box.maxV, v);
+    });
+    return box;
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
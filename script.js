@@ -1,9 +1,30 @@
+import { simulate, stateAt, solveLaunchAngles, normalizeTerrain, groundHeight, accelerationAt } from './physics.js';
+import { createTarget, aimPoint, checkHit, scoreForAttempt } from './challenge.js';
+import { dataColumns, sampleTrajectory, toCSV, toJSON } from './data.js';
+import { GRAPHS, SWEEP_GRAPHS, buildGraphData, drawGraph, drawSweepGraph, drawResidualGraph, drawHistogram } from './graphs.js';
+import { DRIFT_TOLERANCE, energyAt } from './energy.js';
+import { SWEEP_PARAMS, MAX_SWEEP_STEPS, sweepParameter, optimumAngle, trajectoryEnvelope } from './sweep.js';
+import { FIT_PARAMS, parseMeasurements, fitLaunch } from './fit.js';
+import { MAX_DISPERSION_RUNS, perturbLaunches, simulateLaunches, summarize, histogram } from './dispersion.js';
+import {
+    WORKSHEET_QUANTITIES, parseWorksheet, questionStats, checkAnswer, recordAnswer, isQuestionOpen,
+    loadProgress, saveProgress, worksheetScore, worksheetReport
+} from './worksheet.js';
+import { findEnvironment } from './environments.js';
+import { findBall } from './balls.js';
+import { VIEW_ANGLES, createCamera, projectPoint, projectedBounds } from './projection.js';
+import { createSvgContext } from './figure.js';
+import { createGifEncoder } from './gif.js';
+import {
+    encodeSetup, decodeSetup, loadPresets, savePresets, upsertPreset, presetsToJSON, parsePresetFile
+} from './presets.js';
+
 document.addEventListener('DOMContentLoaded', () => {
     // --- JAVASCRIPT LOGIC ---
 
     // 1. Setup & Constants
     const canvas = document.getElementById('simCanvas');
-    const ctx = canvas.getContext('2d');
+    let ctx = canvas.getContext('2d'); // Swapped out by drawFigure() while exporting
 
     // Default size
     canvas.width = 1200;
@@ -18,6 +39,49 @@ document.addEventListener('DOMContentLoaded', () => {
     let pixelsPerMeter = 4;
     let targetScale = 4;
 
+    // Screen position of the world origin (moved by panning, and up when terrain dips below the launch ground)
+    let originX = PADDING_LEFT;
+    let originY = CANVAS_GROUND_Y;
+    let targetOriginX = PADDING_LEFT;
+    let targetOriginY = CANVAS_GROUND_Y;
+
+    // Manual zoom limits (autoZoom stays within its own, tighter range)
+    const MIN_SCALE = 0.01;
+    const MAX_SCALE = 200;
+
+    // World (m) <-> Canvas (px)
+    // In the launcher frame the scenery slides back by the distance the launcher has moved
+    function toScreenX(m) {
+        return originX + (m - frameShift(accumulatedTime)) * pixelsPerMeter;
+    }
+
+    function toScreenY(m) {
+        return originY - m * pixelsPerMeter;
+    }
+
+    function toWorldX(px) {
+        return (px - originX) / pixelsPerMeter + frameShift(accumulatedTime);
+    }
+
+    // Trajectory sample taken at time t: shown where it was relative to the launcher at that time
+    function sampleScreenX(x, t) {
+        return originX + (x - frameShift(t)) * pixelsPerMeter;
+    }
+
+    // Velocity of the viewing frame: zero on the ground, the launcher's when riding along
+    function frameVelocity() {
+        return frameSelect.value === 'launcher' ? launcherVx : 0;
+    }
+
+    // How far the viewing frame has moved by time t
+    function frameShift(t) {
+        return frameVelocity() * t;
+    }
+
+    function toWorldY(px) {
+        return (originY - px) / pixelsPerMeter;
+    }
+
     // DOM Elements - Sliders
     const angleInput = document.getElementById('angle');
     const velocityInput = document.getElementById('velocity');
@@ -29,10 +93,66 @@ document.addEventListener('DOMContentLoaded', () => {
     const velocityNum = document.getElementById('velocityNum');
     const gravityNum = document.getElementById('gravityNum');
     const heightNum = document.getElementById('heightNum');
+    const environmentSelect = document.getElementById('environment');
+
+    // DOM Elements - Moving Launcher
+    const launcherSpeedNum = document.getElementById('launcherSpeedNum');
+    const frameSelect = document.getElementById('frameSelect');
+
+    // DOM Elements - 3D Mode
+    const view3dSelect = document.getElementById('view3d');
+    const view3dParams = document.getElementById('view3dParams');
+    const azimuthNum = document.getElementById('azimuthNum');
+    const crosswindNum = document.getElementById('crosswindNum');
+    const clearLandingsBtn = document.getElementById('clearLandingsBtn');
+    const view3dStatus = document.getElementById('view3dStatus');
+
+    // DOM Elements - Air Resistance
+    const dragModelSelect = document.getElementById('dragModel');
+    const dragParams = document.getElementById('dragParams');
+    const massNum = document.getElementById('massNum');
+    const dragCdNum = document.getElementById('dragCdNum');
+    const dragAreaNum = document.getElementById('dragAreaNum');
+    const airDensityNum = document.getElementById('airDensityNum');
+
+    // DOM Elements - Ball & Spin
+    const ballSelect = document.getElementById('ball');
+    const spinParams = document.getElementById('spinParams');
+    const spinRateNum = document.getElementById('spinRateNum');
+    const spinTiltField = document.getElementById('spinTiltField');
+    const spinTiltNum = document.getElementById('spinTiltNum');
+    const spinHint = document.getElementById('spinHint');
+
+    // DOM Elements - Wind & Force Field
+    const windXNum = document.getElementById('windXNum');
+    const windYNum = document.getElementById('windYNum');
+    const fieldAxNum = document.getElementById('fieldAxNum');
+    const fieldAyNum = document.getElementById('fieldAyNum');
+    const windHint = document.getElementById('windHint');
+
+    // DOM Elements - Terrain
+    const terrainTypeSelect = document.getElementById('terrainType');
+    const terrainFields = document.querySelectorAll('[data-terrain]');
+    const inclineAngleNum = document.getElementById('inclineAngleNum');
+    const stepXNum = document.getElementById('stepXNum');
+    const stepHeightNum = document.getElementById('stepHeightNum');
+    const terrainProfileInput = document.getElementById('terrainProfile');
+
+    // DOM Elements - Bouncing
+    const bounceModeSelect = document.getElementById('bounceMode');
+    const bounceParams = document.getElementById('bounceParams');
+    const restitutionNum = document.getElementById('restitutionNum');
+    const frictionNum = document.getElementById('frictionNum');
 
     const timeStat = document.getElementById('timeStat');
     const heightStat = document.getElementById('heightStat');
     const rangeStat = document.getElementById('rangeStat');
+    const timeVacuumStat = document.getElementById('timeVacuumStat');
+    const heightVacuumStat = document.getElementById('heightVacuumStat');
+    const rangeVacuumStat = document.getElementById('rangeVacuumStat');
+    const spreadCard = document.getElementById('spreadCard');
+    const spreadStat = document.getElementById('spreadStat');
+    const spreadSubStat = document.getElementById('spreadSubStat');
 
     // Equation Elements
     const eqY = document.getElementById('eq-y');
@@ -44,10 +164,158 @@ document.addEventListener('DOMContentLoaded', () => {
     const resetBtn = document.getElementById('resetBtn');
     const pauseBtn = document.getElementById('pauseBtn');
     const stepBtn = document.getElementById('stepBtn');
+    const stepBackBtn = document.getElementById('stepBackBtn');
+    const replayBtn = document.getElementById('replayBtn');
+    const playbackSpeedSelect = document.getElementById('playbackSpeed');
+    const stepSizeNum = document.getElementById('stepSizeNum');
     const launchText = document.getElementById('launchText');
 
     const showPredictionCheck = document.getElementById('showPrediction');
     const showVectorsCheck = document.getElementById('showVectors');
+    const showGhostCheck = document.getElementById('showGhost');
+
+    // Keyboard, Narration & Sonification
+    const simDescription = document.getElementById('simDescription');
+    const srAnnouncer = document.getElementById('srAnnouncer');
+    const sonifyCheck = document.getElementById('sonify');
+    const shortcutHelp = document.getElementById('shortcutHelp');
+
+    // View Tools
+    const panToolBtn = document.getElementById('panToolBtn');
+    const rulerToolBtn = document.getElementById('rulerToolBtn');
+    const protractorToolBtn = document.getElementById('protractorToolBtn');
+    const zoomInBtn = document.getElementById('zoomInBtn');
+    const zoomOutBtn = document.getElementById('zoomOutBtn');
+    const fitAllBtn = document.getElementById('fitAllBtn');
+    const scrubTimeInput = document.getElementById('scrubTime');
+    const scrubReadout = document.getElementById('scrubReadout');
+
+    // Comparison Shots
+    const addShotBtn = document.getElementById('addShotBtn');
+    const clearShotsBtn = document.getElementById('clearShotsBtn');
+    const shotsPanel = document.getElementById('shotsPanel');
+    const shotsBody = document.getElementById('shotsBody');
+
+    // Bounce Log
+    const bouncePanel = document.getElementById('bouncePanel');
+    const bounceBody = document.getElementById('bounceBody');
+
+    // Target Challenge & Inverse Solver
+    const challengeModeSelect = document.getElementById('challengeMode');
+    const challengePanel = document.getElementById('challengePanel');
+    const challengeTargetText = document.getElementById('challengeTarget');
+    const challengeAttempts = document.getElementById('challengeAttempts');
+    const challengeHits = document.getElementById('challengeHits');
+    const challengeScore = document.getElementById('challengeScore');
+    const challengeFeedback = document.getElementById('challengeFeedback');
+    const challengeStatus = document.getElementById('challengeStatus');
+    const newTargetBtn = document.getElementById('newTargetBtn');
+    const solverX = document.getElementById('solverX');
+    const solverY = document.getElementById('solverY');
+    const solveBtn = document.getElementById('solveBtn');
+    const solverResult = document.getElementById('solverResult');
+
+    // Live Data Table
+    const showDataTableCheck = document.getElementById('showDataTable');
+    const dataPanel = document.getElementById('dataPanel');
+    const sampleIntervalNum = document.getElementById('sampleInterval');
+    const dataCount = document.getElementById('dataCount');
+    const dataScroll = document.getElementById('dataScroll');
+    const dataHead = document.getElementById('dataHead');
+    const dataBody = document.getElementById('dataBody');
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
+    const exportJsonBtn = document.getElementById('exportJsonBtn');
+
+    // Live Graphs
+    const showGraphsCheck = document.getElementById('showGraphs');
+    const graphsPanel = document.getElementById('graphsPanel');
+
+    // Parameter Sweep
+    const sweepParamSelect = document.getElementById('sweepParam');
+    const sweepFromNum = document.getElementById('sweepFromNum');
+    const sweepToNum = document.getElementById('sweepToNum');
+    const sweepStepsNum = document.getElementById('sweepStepsNum');
+    const sweepFromUnit = document.getElementById('sweepFromUnit');
+    const sweepToUnit = document.getElementById('sweepToUnit');
+    const showSweepFamilyCheck = document.getElementById('showSweepFamily');
+    const runSweepBtn = document.getElementById('runSweepBtn');
+    const clearSweepBtn = document.getElementById('clearSweepBtn');
+    const sweepStatus = document.getElementById('sweepStatus');
+    const sweepPanel = document.getElementById('sweepPanel');
+    const sweepSummary = document.getElementById('sweepSummary');
+    const sweepGraphs = document.getElementById('sweepGraphs');
+
+    // Launch Uncertainty
+    const dispV0Num = document.getElementById('dispV0Num');
+    const dispAngleNum = document.getElementById('dispAngleNum');
+    const dispH0Num = document.getElementById('dispH0Num');
+    const dispRunsNum = document.getElementById('dispRunsNum');
+    const showDispersionBundleCheck = document.getElementById('showDispersionBundle');
+    const runDispersionBtn = document.getElementById('runDispersionBtn');
+    const clearDispersionBtn = document.getElementById('clearDispersionBtn');
+    const dispersionStatus = document.getElementById('dispersionStatus');
+    const dispersionPanel = document.getElementById('dispersionPanel');
+    const dispersionSummary = document.getElementById('dispersionSummary');
+    const dispersionGraphs = document.getElementById('dispersionGraphs');
+
+    // Measured Data & Curve Fit
+    const importMeasuredBtn = document.getElementById('importMeasuredBtn');
+    const measuredFile = document.getElementById('measuredFile');
+    const fitGravityCheck = document.getElementById('fitGravity');
+    const fitDragCheck = document.getElementById('fitDrag');
+    const fitBtn = document.getElementById('fitBtn');
+    const applyFitBtn = document.getElementById('applyFitBtn');
+    const clearMeasuredBtn = document.getElementById('clearMeasuredBtn');
+    const measuredStatus = document.getElementById('measuredStatus');
+    const fitPanel = document.getElementById('fitPanel');
+    const fitSummary = document.getElementById('fitSummary');
+    const fitGraphs = document.getElementById('fitGraphs');
+
+    // Export
+    const imageScaleSelect = document.getElementById('imageScale');
+    const savePngBtn = document.getElementById('savePngBtn');
+    const saveSvgBtn = document.getElementById('saveSvgBtn');
+    const recordFormatSelect = document.getElementById('recordFormat');
+    const recordBtn = document.getElementById('recordBtn');
+    const exportStatus = document.getElementById('exportStatus');
+
+    // Energy & Momentum
+    const showEnergyCheck = document.getElementById('showEnergy');
+    const energyPanel = document.getElementById('energyPanel');
+    const energyRows = energyPanel ? energyPanel.querySelectorAll('[data-energy]') : [];
+    const momentumX = document.getElementById('momentumX');
+    const momentumY = document.getElementById('momentumY');
+    const momentumZ = document.getElementById('momentumZ');
+    const momentumZRow = document.getElementById('momentumZRow');
+    const momentumMag = document.getElementById('momentumMag');
+    const energyCheck = document.getElementById('energyCheck');
+
+    // Presets & Sharing
+    const presetSelect = document.getElementById('presetSelect');
+    const presetNameInput = document.getElementById('presetName');
+    const savePresetBtn = document.getElementById('savePresetBtn');
+    const deletePresetBtn = document.getElementById('deletePresetBtn');
+    const copyLinkBtn = document.getElementById('copyLinkBtn');
+    const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+    const importPresetsBtn = document.getElementById('importPresetsBtn');
+    const importPresetsFile = document.getElementById('importPresetsFile');
+    const presetStatus = document.getElementById('presetStatus');
+
+    // Lab Worksheet
+    const loadWorksheetBtn = document.getElementById('loadWorksheetBtn');
+    const worksheetFile = document.getElementById('worksheetFile');
+    const worksheetPanel = document.getElementById('worksheetPanel');
+    const worksheetTitle = document.getElementById('worksheetTitle');
+    const worksheetStep = document.getElementById('worksheetStep');
+    const worksheetScoreLabel = document.getElementById('worksheetScore');
+    const worksheetStepTitle = document.getElementById('worksheetStepTitle');
+    const worksheetInstructions = document.getElementById('worksheetInstructions');
+    const worksheetQuestions = document.getElementById('worksheetQuestions');
+    const worksheetPrevBtn = document.getElementById('worksheetPrevBtn');
+    const worksheetNextBtn = document.getElementById('worksheetNextBtn');
+    const worksheetReportBtn = document.getElementById('worksheetReportBtn');
+    const closeWorksheetBtn = document.getElementById('closeWorksheetBtn');
+    const worksheetStatus = document.getElementById('worksheetStatus');
 
     // State Variables
     let isAnimating = false;
@@ -61,15 +329,148 @@ document.addEventListener('DOMContentLoaded', () => {
     let vx, vy;         // Initial components
     let currentVx, currentVy; // Live components
 
+    let environment = findEnvironment('earth'); // Planet preset (or custom) for g, air density & colours
+    let dragModel = 'none'; // 'none' | 'linear' | 'quadratic'
+    let terrain = { type: 'flat' }; // Normalized, see groundHeight() in physics.js
+    let launchY = 0;        // Absolute launch height: ground at x = 0 plus h0
+    let launcherVx = 0;     // Launcher's own horizontal velocity (m/s), carried into the launch
+    let params;             // Engine input, rebuilt by calculateValues()
+
     // Calculated Totals
     let totalFlightTime = 0;
     let maxAltitude = 0; // Relative to ground
     let maxRange = 0;
 
+    // Engine Results (re-simulated only when params change)
+    let trajectory = null;
+    let vacuumTrajectory = null; // Ghost comparison in drag mode
+    let trajectoryKey = '';
+
     // Trajectory History
     let path = [];
     let currentX = 0;
-    let currentY = 0; // Relative to launch height (will adjust for h0)
+    let currentY = 0; // Absolute height (starts at launchY)
+    let mainLanded = false;
+
+    // Comparison Shots (animated together with the current setup)
+    const SHOT_COLORS = ["#f97316", "#8b5cf6", "#10b981", "#ec4899", "#eab308", "#14b8a6"];
+    let shots = []; // { id, name, color, key, params, trajectory }
+    let nextShotId = 1;
+
+    // Target Challenge
+    const MAX_LAUNCH_SPEED = 100; // Velocity slider max, used to keep targets reachable
+    const challenge = {
+        target: null,    // From createTarget(), null when the mode is off
+        attempts: 0,     // Launches at the current target
+        hits: 0,
+        score: 0,
+        assisted: false, // Solver used on the current target → no points
+        result: null,    // checkHit() for the launch in flight
+        revealed: false  // Result shown once the current shot lands
+    };
+
+    // Live Data Table (rows sampled from the engine, not from frame timing)
+    let dataRows = [];
+    let dataHeadColumns = null; // columns the table header was built for (z and vz come and go with 3D mode)
+
+    // Bounce Log (rows for hops that have finished so far)
+    let bounceRowCount = 0;
+
+    // View Tools
+    let viewTool = 'pan';  // 'pan' | 'ruler' | 'protractor'
+    let measurement = null; // { a, b } in meters, kept until the next one
+    const activePointers = new Map(); // pointerId -> last canvas position (px)
+    let pinchDistance = 0;
+
+    // Inspection (hover / drag along the trajectory, or the scrubber)
+    const INSPECT_HOVER_PX = 10; // How close the pointer must be to pick up the trajectory
+    let inspectTime = null;      // Time on the current setup's trajectory, null when nothing is picked
+    let inspectDragging = false;
+
+    // Drag-to-aim: barrel knob sets the angle, pulling back from the pivot sets angle + speed,
+    // the tab beside the launch point sets h0 (only while the inputs are unlocked)
+    const AIM_HANDLE_PX = 60;      // Knob distance from the pivot
+    const CANNON_GRIP_PX = 16;     // Grab radius, generous for touchscreens
+    const PULL_SPEED_PER_PX = 0.5; // Slingshot: m/s of launch speed per pixel pulled
+    let cannonDrag = null;         // null | 'aim' | 'pull' | 'platform'
+    let cannonPull = null;         // Pointer position (px) while pulling back
+
+    // 3D Mode
+    const ORBIT_DEG_PER_PX = 0.4; // how far a drag across the canvas turns the orbit view
+    const LANDING_LIMIT = 50;     // the oldest landing spots drop off the scatter past this
+    const AXIS_COLORS = { x: "#dc2626", y: "#16a34a", z: "#2563eb" };
+    let orbit = { ...VIEW_ANGLES.orbit }; // camera angles of the Orbit view
+    let zoom3d = 1;             // zoom on top of fitting the whole scene
+    let landings = [];          // { x, y, z } where earlier 3D launches came to rest
+    let landingRecorded = false; // the current launch is already in landings
+
+    // Shareable Setup: URL / preset key -> the control holding it
+    const SETUP_FIELDS = {
+        angle: angleNum, v0: velocityNum, env: environmentSelect, g: gravityNum, h0: heightNum,
+        launcher: launcherSpeedNum, frame: frameSelect,
+        view3d: view3dSelect, azimuth: azimuthNum, windZ: crosswindNum,
+        terrain: terrainTypeSelect, slope: inclineAngleNum, cliffX: stepXNum, cliffH: stepHeightNum,
+        profile: terrainProfileInput,
+        bounce: bounceModeSelect, e: restitutionNum, mu: frictionNum,
+        drag: dragModelSelect, mass: massNum, cd: dragCdNum, area: dragAreaNum, rho: airDensityNum,
+        ball: ballSelect, spin: spinRateNum, spinTilt: spinTiltNum,
+        windX: windXNum, windY: windYNum, fieldX: fieldAxNum, fieldY: fieldAyNum,
+        prediction: showPredictionCheck, vectors: showVectorsCheck, ghost: showGhostCheck,
+        table: showDataTableCheck, graphs: showGraphsCheck, energy: showEnergyCheck, interval: sampleIntervalNum,
+        speed: playbackSpeedSelect, step: stepSizeNum
+    };
+    let setupDefaults = null; // Setup as shipped in the page, read once on load
+    let presets = [];
+
+    // Parameter Sweep
+    const SWEEP_DEFAULTS = { angle: [0, 90, 19], v0: [10, 60, 11], h0: [0, 100, 11], g: [1.6, 24.8, 11] };
+    let sweep = null; // last sweepParameter result plus { baseKey, optimum, optimumTrajectory, envelope }
+    const sweepContexts = {}; // sweep graph id -> 2D context
+
+    // Launch Uncertainty
+    const DISPERSION_BATCH = 50;   // runs simulated per tick, so a long job never freezes the page
+    const DISPERSION_BUNDLE = 200; // trajectories drawn; the histogram and the stats use every run
+    const HISTOGRAM_BINS = 24;
+    let dispersion = null;         // { baseKey, params, tolerances, launches, runs, stats, histogram }; stats once done
+    let dispersionContext = null;  // landing histogram
+
+    // Measured Data & Curve Fit
+    let measured = null;  // { name, points } from an imported file
+    let fit = null;       // last fitLaunch result plus { baseKey }
+    let fitContext = null; // residual plot
+
+    // Export
+    const GIF_MAX_WIDTH = 800; // px; GIF clips are scaled down to this
+    const GIF_FRAME_MS = 66;   // about 15 frames a second of playback
+    const CLIP_HOLD_MS = 1500; // the landing stays on screen this long at the end of a clip
+    let exporting = false;     // drawing into an export: leave out the aiming grips, hold the view still
+    let recording = null;      // clip in progress: { format, recorder } or { format, gif, frame, frameCtx, pending, lastTime }
+
+    // Keyboard, Narration & Sonification
+    const SONIFY_LOW_HZ = 220;     // Pitch on the ground; two octaves higher at the top of the flight
+    let keyboardParam = 0;         // index into KEYBOARD_PARAMS
+    let pendingAnnouncements = []; // messages from the same moment are read out together
+    let audioCtx = null;           // created on first use (needs a user gesture)
+    let tone = null;               // { osc, gain } while sounding
+
+    // Inputs the arrow keys adjust, picked with 1-4
+    const KEYBOARD_PARAMS = [
+        { label: "Angle", num: angleNum, slider: angleInput, step: 1, unit: "°" },
+        { label: "Velocity", num: velocityNum, slider: velocityInput, step: 1, unit: " m/s" },
+        { label: "Gravity", num: gravityNum, slider: gravityInput, step: 0.1, unit: " m/s²" },
+        { label: "Height", num: heightNum, slider: heightInput, step: 1, unit: " m" }
+    ];
+
+    // Lab Worksheet
+    let worksheet = null;          // parsed worksheet, or null outside worksheet mode
+    let worksheetProgress = null;  // { step, answers, launched }, saved after every change
+
+    // Live Graphs
+    const GRAPH_WIDTH = 260;
+    const GRAPH_HEIGHT = 96;
+    const graphContexts = {}; // graph id -> 2D context
+    let graphData = null;
+    let graphDataKey = '';
 
     // 2. Logic Functions
 
@@ -78,58 +479,75 @@ document.addEventListener('DOMContentLoaded', () => {
     function calculateTrajectoryStats() {
         calculateValues();
 
-        // 1. Time of Flight (Quadratic if h0 > 0)
-        // y(t) = h0 + vy*t - 0.5*g*t^2 = 0 (Impact)
-        // 0.5*g*t^2 - vy*t - h0 = 0
-
-        const a = 0.5 * g;
-        const b = -vy;
-        const c = -h0;
-
-        // t = (-b ± sqrt(b^2 - 4ac)) / 2a
-        const discriminator = Math.sqrt(b * b - 4 * a * c);
-        const t1 = (-b + discriminator) / (2 * a);
-        const t2 = (-b - discriminator) / (2 * a);
-
-        // We want positive time
-        totalFlightTime = Math.max(t1, t2);
-        if (isNaN(totalFlightTime)) totalFlightTime = 0;
-
-        // 2. Max Height
-        const t_peak = vy / g;
-        if (t_peak > 0) {
-            maxAltitude = h0 + (vy * t_peak) - (0.5 * g * t_peak * t_peak);
-        } else {
-            maxAltitude = h0;
+        // drawScene runs every frame, so only re-run the engine when an input changed
+        const key = JSON.stringify(params);
+        if (key !== trajectoryKey) {
+            trajectory = simulate(params);
+            vacuumTrajectory = dragModel === 'none'
+                ? trajectory
+                : simulate({ ...params, drag: { model: 'none' } });
+            trajectoryKey = key;
         }
 
-        // 3. Range
-        maxRange = vx * totalFlightTime;
-
+        ({ maxAltitude, maxRange, totalFlightTime } = trajectory);
         return { maxAltitude, maxRange, totalFlightTime };
     }
 
-    function autoZoom(maxH, range) {
+    // minY (<= 0) is the lowest point to keep on screen, e.g. a valley floor
+    function autoZoom(maxH, range, minY = 0) {
         const availWidth = canvas.width - PADDING_LEFT - 100;
         const availHeight = canvas.height - PADDING_BOTTOM - 100;
 
         const safeRange = Math.max(range, h0 + 5, 20);
         const scaleX = availWidth / safeRange;
 
-        const safeH = Math.max(maxH, 10);
+        const safeH = Math.max(maxH - minY, 10);
         const scaleY = availHeight / safeH;
 
         let newScale = Math.min(scaleX, scaleY);
         newScale = Math.min(newScale, 10);
-        newScale = Math.max(newScale, 0.5);
+        newScale = Math.max(newScale, 0.05);
 
         targetScale = newScale;
+        targetOriginX = PADDING_LEFT;
+        targetOriginY = CANVAS_GROUND_Y + Math.min(minY, 0) * newScale;
     }
 
     function updateScale() {
-        if (Math.abs(pixelsPerMeter - targetScale) > 0.01) {
+        if (Math.abs(pixelsPerMeter - targetScale) > targetScale * 0.001) {
             pixelsPerMeter += (targetScale - pixelsPerMeter) * 0.1;
         }
+        if (Math.abs(originX - targetOriginX) > 0.5) {
+            originX += (targetOriginX - originX) * 0.1;
+        }
+        if (Math.abs(originY - targetOriginY) > 0.5) {
+            originY += (targetOriginY - originY) * 0.1;
+        }
+    }
+
+    // Jump the view (no easing) so the world point under (px, py) stays put
+    function zoomAt(px, py, factor) {
+        const wx = toWorldX(px);
+        const wy = toWorldY(py);
+        pixelsPerMeter = targetScale = Math.min(Math.max(pixelsPerMeter * factor, MIN_SCALE), MAX_SCALE);
+        originX = targetOriginX = px - wx * pixelsPerMeter;
+        originY = targetOriginY = py + wy * pixelsPerMeter;
+    }
+
+    function panBy(dx, dy) {
+        originX = targetOriginX = originX + dx;
+        originY = targetOriginY = originY + dy;
+    }
+
+    // Grid spacing (1, 2 or 5 × 10^n m) that keeps lines at least ~40 px apart
+    function gridStep() {
+        return roundStep(40 / pixelsPerMeter);
+    }
+
+    // Smallest 1, 2 or 5 × 10^n that is at least raw
+    function roundStep(raw) {
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        return [1, 2, 5, 10].map(f => f * magnitude).find(step => step >= raw);
     }
 
     // 3. Drawing Functions
@@ -175,11 +593,49 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.restore();
     }
 
+    // Wind / extra field readout in the top-left corner (nothing when both are off)
+    function drawFieldLegend() {
+        const rows = [];
+        const { wind, field } = params;
+        if (wind.vx !== 0 || wind.vy !== 0) rows.push(["Wind", wind.vx, wind.vy, "m/s", "#64748b"]);
+        if (field.ax !== 0 || field.ay !== 0) rows.push(["Field", field.ax, field.ay, "m/s²", "#f97316"]);
+
+        rows.forEach(([label, x, y, unit, color], i) => {
+            const cx = PADDING_LEFT + 24;
+            const cy = 28 + i * 30;
+            const len = Math.hypot(x, y);
+            const scale = Math.min(20, 2 * len) / len; // Direction only, capped at 20 px
+
+            drawArrow(cx - x * scale / 2, cy + y * scale / 2, x * scale, -y * scale, color);
+            ctx.fillStyle = "#334155";
+            ctx.font = "12px Inter";
+            ctx.textAlign = "left";
+            ctx.fillText(`${label} (${x.toFixed(1)}, ${y.toFixed(1)}) ${unit}`, cx + 20, cy + 4);
+        });
+    }
+
     function drawCannon(scale) {
-        const launchY = CANVAS_GROUND_Y - (h0 * scale);
+        // The launcher keeps moving at its own speed (parked at x = 0 when that is zero)
+        const pivotX = toScreenX(launcherVx * accumulatedTime);
+        const pivotY = toScreenY(launchY);
+        const baseY = toScreenY(launchY - h0);
+
+        // Cart under a moving launcher
+        if (launcherVx !== 0) {
+            ctx.save();
+            ctx.fillStyle = "#64748b";
+            ctx.fillRect(pivotX - 18, baseY - 14, 36, 9);
+            ctx.fillStyle = "#1e293b";
+            [-11, 11].forEach(dx => {
+                ctx.beginPath();
+                ctx.arc(pivotX + dx, baseY - 4, 4, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.restore();
+        }
 
         ctx.save();
-        ctx.translate(PADDING_LEFT, launchY);
+        ctx.translate(pivotX, pivotY);
         ctx.rotate(-angleRad); // Rotate UP
 
         const length = 2 * scale;
@@ -202,19 +658,19 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.strokeStyle = "#475569";
             ctx.lineWidth = 4;
             ctx.beginPath();
-            ctx.moveTo(PADDING_LEFT, CANVAS_GROUND_Y);
-            ctx.lineTo(PADDING_LEFT, launchY);
+            ctx.moveTo(pivotX, baseY);
+            ctx.lineTo(pivotX, pivotY);
             ctx.stroke();
 
             // Base
             ctx.fillStyle = "#1e293b";
-            ctx.fillRect(PADDING_LEFT - 10, CANVAS_GROUND_Y - 4, 20, 4);
+            ctx.fillRect(pivotX - 10, baseY - 4, 20, 4);
             ctx.restore();
         }
 
         // Draw Pivot
         ctx.save();
-        ctx.translate(PADDING_LEFT, launchY);
+        ctx.translate(pivotX, pivotY);
         ctx.fillStyle = "#1e293b";
         ctx.beginPath();
         ctx.arc(0, 0, 0.4 * scale, 0, Math.PI * 2);
@@ -224,13 +680,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function drawMarkers(stats) {
         // Peak Marker
-        const t_peak = vy / g;
-        if (t_peak > 0 && t_peak < totalFlightTime) {
-            const peakX = vx * t_peak;
-            const peakY = h0 + (vy * t_peak) - (0.5 * g * t_peak * t_peak);
-
-            const sx = PADDING_LEFT + (peakX * pixelsPerMeter);
-            const sy = CANVAS_GROUND_Y - (peakY * pixelsPerMeter);
+        const peak = trajectory.peak;
+        if (peak && peak.t < mainEndTime()) {
+            const sx = sampleScreenX(peak.x, peak.t);
+            const sy = toScreenY(peak.y);
 
             ctx.fillStyle = "#0ea5e9";
             ctx.beginPath();
@@ -240,135 +693,381 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.font = "bold 12px Inter";
             ctx.textAlign = "center";
             ctx.fillText("Max H", sx, sy - 10);
-            ctx.fillText(peakY.toFixed(1) + "m", sx, sy - 22);
+            ctx.fillText(peak.y.toFixed(1) + "m", sx, sy - 22);
         }
 
-        // Landing Marker
-        if (totalFlightTime > 0) {
-            const range = vx * totalFlightTime;
-            const sx = PADDING_LEFT + (range * pixelsPerMeter);
-            const sy = CANVAS_GROUND_Y; // Ground
+        // Landing Marker (skipped when a target stopped the shot mid-air)
+        if (totalFlightTime > 0 && mainEndTime() >= totalFlightTime) {
+            const range = stats.maxRange;
+            const impact = trajectory.points[trajectory.points.length - 1];
+            const sx = sampleScreenX(range, impact.t);
+            const sy = toScreenY(impact.y);
 
             ctx.fillStyle = "#ef4444";
             ctx.beginPath();
             ctx.arc(sx, sy, 4, 0, Math.PI * 2);
             ctx.fill();
             ctx.textAlign = "center";
-            ctx.fillText("Impact", sx, sy + 15);
+            const label = !trajectory.settled ? "Still rolling" : trajectory.hops.length > 1 || trajectory.roll ? "Rest" : "Impact";
+            ctx.fillText(label, sx, sy + 15);
             ctx.fillText(range.toFixed(1) + "m", sx, sy + 27);
+
+            // On a slope, distance measured along the ground from the launcher
+            if (terrain.type === 'incline') {
+                const alongSlope = Math.hypot(range, impact.y - groundHeight(terrain, 0));
+                ctx.font = "12px Inter";
+                ctx.fillText(alongSlope.toFixed(1) + "m along slope", sx, sy + 39);
+            }
         }
-    }
 
-    function drawPrediction() {
-        if (!showPredictionCheck.checked) return;
+        // Bounce contact points
+        trajectory.hops.slice(1).forEach(hop => {
+            if (hop.t > mainEndTime()) return;
+            const contact = stateAt(trajectory, hop.t);
+            ctx.fillStyle = "#f97316";
+            ctx.beginPath();
+            ctx.arc(sampleScreenX(contact.x, hop.t), toScreenY(contact.y), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Vacuum landing tick for comparison
+        if (dragModel !== 'none' && showGhostCheck.checked && vacuumTrajectory.totalFlightTime > 0) {
+            const impact = vacuumTrajectory.points[vacuumTrajectory.points.length - 1];
+            const sx = sampleScreenX(impact.x, impact.t);
+            const sy = toScreenY(impact.y);
 
+            ctx.strokeStyle = "#94a3b8";
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(sx, sy - 6);
+            ctx.lineTo(sx, sy + 6);
+            ctx.stroke();
+            ctx.fillStyle = "#94a3b8";
+            ctx.font = "12px Inter";
+            ctx.textAlign = "center";
+            ctx.fillText("Vacuum", sx, sy - 12);
+        }
+    }
+
+    // Helper: Stroke a trajectory from launch to tEnd (impact by default)
+    function strokeTrajectory(traj, color, dash, tEnd = traj.totalFlightTime) {
         ctx.save();
-        ctx.strokeStyle = "rgba(100, 116, 139, 0.4)";
+        ctx.strokeStyle = color;
         ctx.lineWidth = 2;
-        ctx.setLineDash([8, 8]);
+        ctx.setLineDash(dash);
         ctx.beginPath();
 
-        // Start at h0
-        const startY = CANVAS_GROUND_Y - (h0 * pixelsPerMeter);
-        ctx.moveTo(PADDING_LEFT, startY);
+        // Start at the launch point
+        const start = stateAt(traj, 0);
+        ctx.moveTo(sampleScreenX(start.x, 0), toScreenY(start.y));
 
-        let t = 0;
         const dt = 0.1;
-        let px, py;
-
-        while (true) {
-            t += dt;
-            px = vx * t;
-            py = h0 + (vy * t) - (0.5 * g * t * t);
+        for (let t = dt; ; t += dt) {
+            const pt = stateAt(traj, t);
 
-            if (py < 0) break;
-
-            const sx = PADDING_LEFT + (px * pixelsPerMeter);
-            const sy = CANVAS_GROUND_Y - (py * pixelsPerMeter);
+            const sx = sampleScreenX(pt.x, t);
+            const sy = toScreenY(pt.y);
             ctx.lineTo(sx, sy);
 
-            if (px * pixelsPerMeter > canvas.width + 1000) break;
+            if (t >= tEnd) break;
+            if (sx > canvas.width + 1000) break;
         }
         ctx.stroke();
         ctx.restore();
     }
 
-    function drawVectors(posX, posY, v_x, v_y) {
-        if (!showVectorsCheck.checked) return;
+    function drawPrediction() {
+        // Vacuum ghost stays visible in drag mode so the two can be compared
+        if (dragModel !== 'none' && showGhostCheck.checked) {
+            strokeTrajectory(vacuumTrajectory, "rgba(148, 163, 184, 0.35)", [2, 6]);
+        }
+
+        if (!showPredictionCheck.checked) return;
+        strokeTrajectory(trajectory, "rgba(100, 116, 139, 0.4)", [8, 8]);
+    }
+
+    function drawTarget() {
+        const target = challenge.target;
+        if (!target) return;
+
+        const isHit = challenge.revealed && challenge.result && challenge.result.hit;
+        const color = isHit ? "#22c55e" : "#ef4444";
+        let labelX, labelY;
+
+        ctx.save();
+        if (target.type === 'wall') {
+            const sx = toScreenX(target.x);
+            const w = Math.max(target.width * pixelsPerMeter, 6);
+            const h = target.height * pixelsPerMeter;
+            const baseY = toScreenY(target.base);
+
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.75;
+            ctx.fillRect(sx, baseY - h, w, h);
+            labelX = sx + w / 2;
+            labelY = baseY - h - 10;
+        } else if (target.type === 'platform') {
+            const sx1 = toScreenX(target.x1);
+            const sx2 = toScreenX(target.x2);
+            const sy = toScreenY(target.y);
+
+            // Support post
+            ctx.strokeStyle = "#94a3b8";
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo((sx1 + sx2) / 2, sy);
+            ctx.lineTo((sx1 + sx2) / 2, toScreenY(groundHeight(terrain, (target.x1 + target.x2) / 2)));
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            ctx.fillRect(sx1, sy, Math.max(sx2 - sx1, 6), 6);
+            labelX = (sx1 + sx2) / 2;
+            labelY = sy - 10;
+        } else {
+            const sx = toScreenX(target.x);
+            const sy = toScreenY(target.y);
+            const r = Math.max(target.radius * pixelsPerMeter, 6);
+
+            // Bullseye rings
+            [[1, color], [2 / 3, "#ffffff"], [1 / 3, color]].forEach(([f, fill]) => {
+                ctx.fillStyle = fill;
+                ctx.beginPath();
+                ctx.arc(sx, sy, r * f, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            labelX = sx;
+            labelY = sy - r - 8;
+        }
+
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 1;
+        ctx.font = "bold 12px Inter";
+        ctx.textAlign = "center";
+        ctx.fillText(isHit ? "HIT!" : "Target", labelX, labelY);
+        ctx.restore();
+    }
+
+    // Saved shots: full preview before launch, live path + ball once launched
+    function drawComparisonShots() {
+        const launched = isAnimating || path.length > 0;
+
+        comparisonShots().forEach((shot, i) => {
+            const traj = shot.trajectory;
+            const t = launched ? Math.min(accumulatedTime, traj.totalFlightTime) : traj.totalFlightTime;
+
+            ctx.save();
+            if (!launched) ctx.globalAlpha = 0.5;
+            strokeTrajectory(traj, shot.color, launched ? [5, 5] : [8, 8], t);
+            ctx.restore();
+
+            const pos = stateAt(traj, t);
+            const sx = sampleScreenX(pos.x, t);
+            const sy = toScreenY(pos.y);
+
+            if (launched) drawBall(sx, sy, shot.color, shot.color);
+
+            // Impact label (stacked so equal ranges stay readable)
+            if (t >= traj.totalFlightTime) {
+                ctx.fillStyle = shot.color;
+                ctx.beginPath();
+                ctx.arc(sx, sy, 4, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.font = "bold 12px Inter";
+                ctx.textAlign = "center";
+                ctx.fillText(shot.name + ": " + traj.maxRange.toFixed(1) + "m", sx, sy - 12 - (i * 14));
+            }
+        });
+    }
+
+    // Screen positions of the aiming handles (see cannonGripAt)
+    function cannonHandles() {
+        const pivotX = toScreenX(0);
+        const pivotY = toScreenY(launchY);
+        return {
+            pull: { x: pivotX, y: pivotY },
+            aim: { x: pivotX + AIM_HANDLE_PX * Math.cos(angleRad), y: pivotY - AIM_HANDLE_PX * Math.sin(angleRad) },
+            platform: { x: pivotX - 24, y: pivotY }
+        };
+    }
+
+    function drawCannonHandles() {
+        const grips = cannonGrips();
+        if (grips.length === 0 || exporting) return;
+        const { pull, aim, platform } = cannonHandles();
+
+        ctx.save();
+
+        // Aim: dotted guide along the barrel to a knob
+        if (grips.includes('aim')) {
+            ctx.strokeStyle = "rgba(2, 132, 199, 0.5)";
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([3, 4]);
+            ctx.beginPath();
+            ctx.moveTo(pull.x, pull.y);
+            ctx.lineTo(aim.x, aim.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = "#0284c7";
+            ctx.strokeStyle = "#ffffff";
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(aim.x, aim.y, 7, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        // Slingshot: ring around the pivot
+        if (grips.includes('pull')) {
+            ctx.strokeStyle = "rgba(2, 132, 199, 0.6)";
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(pull.x, pull.y, 10, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Platform: grip tab with up/down notches
+        if (grips.includes('platform')) {
+            ctx.fillStyle = "#475569";
+            ctx.fillRect(platform.x - 6, platform.y - 9, 12, 18);
+            ctx.strokeStyle = "#ffffff";
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(platform.x - 3, platform.y - 3);
+            ctx.lineTo(platform.x, platform.y - 6);
+            ctx.lineTo(platform.x + 3, platform.y - 3);
+            ctx.moveTo(platform.x - 3, platform.y + 3);
+            ctx.lineTo(platform.x, platform.y + 6);
+            ctx.lineTo(platform.x + 3, platform.y + 3);
+            ctx.stroke();
+        }
+
+        // Rubber band while pulling back
+        if (cannonDrag === 'pull' && cannonPull) {
+            ctx.strokeStyle = "#0f172a";
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(pull.x, pull.y);
+            ctx.lineTo(cannonPull.x, cannonPull.y);
+            ctx.stroke();
+
+            ctx.font = "bold 12px Inter";
+            ctx.fillStyle = "#0f172a";
+            ctx.textAlign = "center";
+            ctx.fillText(`${v0.toFixed(1)} m/s @ ${angleDeg.toFixed(1)}°`, cannonPull.x, cannonPull.y + 24);
+        }
+
+        ctx.restore();
+    }
+
+    // Helper: Glossy projectile
+    function drawBall(screenX, screenY, baseColor, edgeColor) {
+        const radius = 8;
 
-        const screenX = PADDING_LEFT + (posX * pixelsPerMeter);
-        const screenY = CANVAS_GROUND_Y - (posY * pixelsPerMeter);
+        // 1. Soft Drop Shadow
+        ctx.save();
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = "rgba(0,0,0,0.3)";
+        ctx.shadowOffsetY = 4;
+
+        // 2. Radial Gradient (3D Sphere Effect)
+        const gradient = ctx.createRadialGradient(
+            screenX - 2, screenY - 2, 1,   // Inner circle (Highlight)
+            screenX, screenY, radius       // Outer circle
+        );
+        gradient.addColorStop(0, "#cbd5e1"); // Highlight
+        gradient.addColorStop(0.3, baseColor);
+        gradient.addColorStop(1, edgeColor);
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(screenX, screenY, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
 
+    // Arrows from a screen position: velocity relative to the selected frame,
+    // net acceleration (gravity, field and drag) as returned by accelerationAt
+    function drawVectors(screenX, screenY, v_x, v_y, accel) {
         const vScale = 3;
         const aScale = 20;
 
         drawArrow(screenX, screenY, v_x * vScale, -v_y * vScale, "#22c55e");
-        drawArrow(screenX, screenY, 0, g * aScale, "#f97316");
+        drawArrow(screenX, screenY, accel.ax * aScale, -accel.ay * aScale, "#f97316");
     }
 
     function drawCoordinateSystem() {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-        updateScale();
+        // Sky tint for the current world
+        ctx.fillStyle = environment.sky;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-        // Ground Line
-        ctx.beginPath();
-        ctx.strokeStyle = '#475569';
-        ctx.lineWidth = 3;
-        ctx.moveTo(0, CANVAS_GROUND_Y);
-        ctx.lineTo(canvas.width, CANVAS_GROUND_Y);
-        ctx.stroke();
+        // An export draws the view exactly as it is on screen, without easing it a step
+        if (!exporting) updateScale();
+
+        // Ground Line (uneven terrain is drawn on top of the grid instead)
+        if (terrain.type === 'flat') {
+            ctx.beginPath();
+            ctx.strokeStyle = '#475569';
+            ctx.lineWidth = 3;
+            ctx.moveTo(0, toScreenY(0));
+            ctx.lineTo(canvas.width, toScreenY(0));
+            ctx.stroke();
+        }
 
         // Y-Axis
+        const axisX = toScreenX(0);
         ctx.beginPath();
         ctx.lineWidth = 2;
-        ctx.moveTo(PADDING_LEFT, CANVAS_GROUND_Y);
-        ctx.lineTo(PADDING_LEFT, 0);
+        ctx.moveTo(axisX, canvas.height);
+        ctx.lineTo(axisX, 0);
         ctx.stroke();
 
-        // Grid & Markers
+        // Grid & Markers (labels stay on screen when the axes are panned away)
         ctx.fillStyle = "#64748b";
         ctx.textAlign = "center";
 
-        // Horizontal (X) Markers
-        let step = 10;
-        if (pixelsPerMeter < 1) step = 50;
+        const step = gridStep();
+        const decimals = step < 1 ? Math.ceil(-Math.log10(step)) : 0;
+        const labelY = Math.min(Math.max(toScreenY(0) + 20, 20), canvas.height - 8);
+        const labelX = Math.min(Math.max(axisX - 10, 36), canvas.width - 8);
 
-        const maxVisibleMetersX = (canvas.width - PADDING_LEFT) / pixelsPerMeter;
-        for (let m = 0; m <= maxVisibleMetersX; m += step) {
-            const x = PADDING_LEFT + (m * pixelsPerMeter);
+        // Horizontal (X) Markers
+        for (let m = Math.ceil(toWorldX(0) / step) * step; m <= toWorldX(canvas.width); m += step) {
+            const x = toScreenX(m);
             ctx.beginPath();
             ctx.fillStyle = "#94a3b8";
-            ctx.arc(x, CANVAS_GROUND_Y, 2, 0, Math.PI * 2);
+            ctx.arc(x, toScreenY(0), 2, 0, Math.PI * 2);
             ctx.fill();
 
             ctx.fillStyle = "#64748b";
-            ctx.fillText(m, x, CANVAS_GROUND_Y + 20);
+            ctx.fillText(m.toFixed(decimals), x, labelY);
 
             ctx.beginPath();
             ctx.strokeStyle = "rgba(203, 213, 225, 0.3)";
-            ctx.moveTo(x, CANVAS_GROUND_Y);
+            ctx.moveTo(x, canvas.height);
             ctx.lineTo(x, 0);
             ctx.stroke();
         }
 
         // Vertical (Y) Markers
-        const maxVisibleMetersY = CANVAS_GROUND_Y / pixelsPerMeter;
-        for (let m = 0; m <= maxVisibleMetersY; m += step) {
-            if (m === 0) continue;
-            const y = CANVAS_GROUND_Y - (m * pixelsPerMeter);
+        for (let m = Math.ceil(toWorldY(canvas.height) / step) * step; m <= toWorldY(0); m += step) {
+            if (Math.abs(m) < step / 2) continue;
+            const y = toScreenY(m);
             ctx.beginPath();
             ctx.fillStyle = "#94a3b8";
-            ctx.arc(PADDING_LEFT, y, 2, 0, Math.PI * 2);
+            ctx.arc(axisX, y, 2, 0, Math.PI * 2);
             ctx.fill();
 
             ctx.fillStyle = "#64748b";
             ctx.textAlign = "right";
-            ctx.fillText(m, PADDING_LEFT - 10, y + 4);
+            ctx.fillText(m.toFixed(decimals), labelX, y + 4);
 
             ctx.beginPath();
             ctx.strokeStyle = "rgba(203, 213, 225, 0.3)";
-            ctx.moveTo(PADDING_LEFT, y);
+            ctx.moveTo(0, y);
             ctx.lineTo(canvas.width, y);
             ctx.stroke();
         }
@@ -383,10 +1082,62 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.rotate(-Math.PI / 2);
         ctx.fillText("Height (m)", 0, 0);
         ctx.restore();
+
+        drawTerrain();
+    }
+
+    // Ground outline in meters between two x positions, with both sides of any cliff
+    function terrainOutline(xMin, xMax) {
+        const outline = [{ x: xMin, y: groundHeight(terrain, xMin) }];
+        if (terrain.type === 'step' && terrain.x > xMin && terrain.x < xMax) {
+            outline.push({ x: terrain.x, y: 0 }, { x: terrain.x, y: terrain.height });
+        } else if (terrain.type === 'custom') {
+            terrain.points.forEach(pt => {
+                if (pt.x > xMin && pt.x < xMax) outline.push(pt);
+            });
+        }
+        outline.push({ x: xMax, y: groundHeight(terrain, xMax) });
+        return outline;
+    }
+
+    function drawTerrain() {
+        if (terrain.type === 'flat') return;
+
+        const outline = terrainOutline(toWorldX(0), toWorldX(canvas.width));
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(0, canvas.height);
+        outline.forEach(pt => ctx.lineTo(toScreenX(pt.x), toScreenY(pt.y)));
+        ctx.lineTo(canvas.width, canvas.height);
+        ctx.closePath();
+        ctx.fillStyle = environment.ground;
+        ctx.fill();
+
+        ctx.beginPath();
+        outline.forEach((pt, i) => {
+            if (i === 0) ctx.moveTo(toScreenX(pt.x), toScreenY(pt.y));
+            else ctx.lineTo(toScreenX(pt.x), toScreenY(pt.y));
+        });
+        ctx.strokeStyle = '#475569';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.restore();
     }
 
     function drawScene(cx, cy) {
+        if (is3D()) {
+            calculateTrajectoryStats();
+            drawScene3D();
+            drawGraphs();
+            updateEnergyPanel();
+            updateScrubber();
+            return;
+        }
+
         drawCoordinateSystem();
+        drawFieldLegend();
+        drawTarget();
 
         const stats = calculateTrajectoryStats();
         if (!isAnimating) {
@@ -394,7 +1145,12 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         drawPrediction();
+        drawSweepFamily();
+        drawDispersionBundle();
+        drawMeasured();
+        drawComparisonShots();
         drawCannon(pixelsPerMeter);
+        drawCannonHandles();
 
         if (path.length > 0) {
             ctx.strokeStyle = "#0284c7";
@@ -402,12 +1158,12 @@ document.addEventListener('DOMContentLoaded', () => {
             ctx.setLineDash([5, 5]);
             ctx.beginPath();
 
-            const startY = CANVAS_GROUND_Y - (path[0].y * pixelsPerMeter);
-            ctx.moveTo(PADDING_LEFT + (path[0].x * pixelsPerMeter), startY);
+            const startY = toScreenY(path[0].y);
+            ctx.moveTo(sampleScreenX(path[0].x, path[0].t), startY);
 
             path.forEach(pt => {
-                const screenX = PADDING_LEFT + (pt.x * pixelsPerMeter);
-                const screenY = CANVAS_GROUND_Y - (pt.y * pixelsPerMeter);
+                const screenX = sampleScreenX(pt.x, pt.t);
+                const screenY = toScreenY(pt.y);
                 ctx.lineTo(screenX, screenY);
             });
             ctx.stroke();
@@ -418,77 +1174,207 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        drawGraphs();
+        updateEnergyPanel();
+
         if (cx !== undefined) {
-            const screenX = PADDING_LEFT + (cx * pixelsPerMeter);
-            const screenY = CANVAS_GROUND_Y - (cy * pixelsPerMeter);
+            const screenX = toScreenX(cx);
+            const screenY = toScreenY(cy);
+
+            // Metallic/Glossy Blue Theme
+            drawBall(screenX, screenY, "#0ea5e9", "#0369a1");
+
+            if (showVectorsCheck.checked) {
+                const instant = stateAt(trajectory, accumulatedTime);
+                drawVectors(screenX, screenY, instant.vx - frameVelocity(), instant.vy, accelerationAt(params, instant));
+            }
+        }
 
-            // Premium 3D Object Styling
-            const radius = 8; // Slightly larger
+        drawInspection();
+        drawMeasurement();
+        updateScrubber();
+    }
 
-            // 1. Soft Drop Shadow
-            ctx.shadowBlur = 10;
-            ctx.shadowColor = "rgba(0,0,0,0.3)";
-            ctx.shadowOffsetY = 4;
+    // Redraw the current moment when no animation frame is coming
+    function redraw() {
+        if (isAnimating && !isPaused) return;
+        drawScene(path.length > 0 ? currentX : 0, path.length > 0 ? currentY : launchY);
+    }
 
-            // 2. Radial Gradient (3D Sphere Effect)
-            const gradient = ctx.createRadialGradient(
-                screenX - 2, screenY - 2, 1,   // Inner circle (Highlight)
-                screenX, screenY, radius       // Outer circle
-            );
+    // Marker, vectors and a readout at the inspected moment
+    function drawInspection() {
+        const endTime = inspectEndTime();
+        if (inspectTime === null || endTime === null) return;
 
-            // Metallic/Glossy Blue Theme
-            gradient.addColorStop(0, "#cbd5e1"); // Highlight
-            gradient.addColorStop(0.3, "#0ea5e9"); // Base Blue 
-            gradient.addColorStop(1, "#0369a1");   // Darker Edge
+        const t = Math.min(inspectTime, endTime);
+        const s = stateAt(trajectory, t);
+        const sx = sampleScreenX(s.x, t);
+        const sy = toScreenY(s.y);
+
+        ctx.save();
+        ctx.strokeStyle = "#0f172a";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(sx, sy, 7, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+
+        // Position and velocity as seen from the selected frame
+        const x = s.x - frameShift(t);
+        const v_x = s.vx - frameVelocity();
+        drawVectors(sx, sy, v_x, s.vy, accelerationAt(params, s));
+
+        const speed = Math.hypot(v_x, s.vy);
+        const direction = Math.atan2(s.vy, v_x) * 180 / Math.PI;
+        const lines = [
+            `t = ${t.toFixed(2)} s`,
+            `x = ${x.toFixed(2)} m   y = ${s.y.toFixed(2)} m`,
+            `vx = ${v_x.toFixed(2)}   vy = ${s.vy.toFixed(2)} m/s`,
+            `|v| = ${speed.toFixed(2)} m/s at ${direction.toFixed(1)}°`
+        ];
+        if (frameVelocity() !== 0) lines.push("relative to the launcher");
+
+        ctx.save();
+        ctx.font = "12px Inter";
+        ctx.textAlign = "left";
+        const boxW = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const boxH = lines.length * 16 + 10;
+        // Beside the point, flipped to stay on the canvas
+        const bx = sx + 14 + boxW < canvas.width ? sx + 14 : sx - 14 - boxW;
+        const by = Math.min(Math.max(sy - boxH - 10, 4), canvas.height - boxH - 4);
+
+        ctx.fillStyle = "rgba(255, 255, 255, 0.92)";
+        ctx.strokeStyle = "#cbd5e1";
+        ctx.lineWidth = 1;
+        ctx.fillRect(bx, by, boxW, boxH);
+        ctx.strokeRect(bx, by, boxW, boxH);
+        ctx.fillStyle = "#0f172a";
+        lines.forEach((line, i) => ctx.fillText(line, bx + 8, by + 18 + i * 16));
+        ctx.restore();
+    }
+
+    // Ruler: length and components of a-b. Protractor: its angle from the horizontal.
+    function drawMeasurement() {
+        if (!measurement) return;
+        const { a, b } = measurement;
+        const ax = toScreenX(a.x), ay = toScreenY(a.y);
+        const bx = toScreenX(b.x), by = toScreenY(b.y);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+
+        ctx.save();
+        ctx.strokeStyle = "#0f172a";
+        ctx.fillStyle = "#0f172a";
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(ax, ay);
+        ctx.lineTo(bx, by);
+        ctx.stroke();
+        ctx.setLineDash([]);
 
-            ctx.fillStyle = gradient;
+        [[ax, ay], [bx, by]].forEach(([x, y]) => {
             ctx.beginPath();
-            ctx.arc(screenX, screenY, radius, 0, Math.PI * 2);
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
             ctx.fill();
+        });
 
-            // Reset Shadow
-            ctx.shadowBlur = 0;
-            ctx.shadowOffsetY = 0;
+        let label;
+        if (measurement.tool === 'protractor') {
+            // Horizontal reference and the swept arc
+            const radius = Math.min(Math.hypot(bx - ax, by - ay), 60);
+            const angle = Math.atan2(dy, dx);
+            ctx.beginPath();
+            ctx.moveTo(ax, ay);
+            ctx.lineTo(ax + (dx < 0 ? -radius : radius), ay);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(ax, ay, radius * 0.6, dx < 0 ? Math.PI : 0, -angle, dx < 0 ? dy < 0 : dy > 0);
+            ctx.stroke();
 
-            let instantVy = vy - (g * accumulatedTime);
-            drawVectors(cx, cy, vx, instantVy);
+            const fromHorizontal = Math.atan2(dy, Math.abs(dx)) * 180 / Math.PI;
+            label = `θ = ${fromHorizontal.toFixed(1)}°`;
+        } else {
+            label = `${Math.hypot(dx, dy).toFixed(2)} m  (Δx ${dx.toFixed(2)}, Δy ${dy.toFixed(2)})`;
         }
+
+        ctx.font = "bold 12px Inter";
+        ctx.textAlign = "left";
+        const textW = ctx.measureText(label).width;
+        const lx = Math.min(Math.max((ax + bx) / 2 + 8, 4), canvas.width - textW - 8);
+        const ly = Math.min(Math.max((ay + by) / 2 - 10, 16), canvas.height - 8);
+        ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+        ctx.fillRect(lx - 4, ly - 13, textW + 8, 18);
+        ctx.fillStyle = "#0f172a";
+        ctx.fillText(label, lx, ly);
+        ctx.restore();
     }
 
     function animate(timestamp) {
         if (!isAnimating) return;
 
         if (!lastFrameTime) lastFrameTime = timestamp;
-        const dt = (timestamp - lastFrameTime) / 1000;
+        // Playback speed: simulated seconds per real second
+        const dt = (timestamp - lastFrameTime) / 1000 * parseFloat(playbackSpeedSelect.value);
         lastFrameTime = timestamp;
 
-        if (!isPaused) {
-            accumulatedTime += dt;
+        if (!isPaused && advanceTo(accumulatedTime + dt)) {
+            isAnimating = false;
+            togglePlaybackUI(false);
+            updateTone();
+            drawScene(currentX, currentY);
+            finishRecording();
+            return;
+        }
 
-            currentX = vx * accumulatedTime;
-            currentY = h0 + (vy * accumulatedTime) - (0.5 * g * accumulatedTime * accumulatedTime);
+        updateTone();
+        drawScene(currentX, currentY);
+        captureClipFrame();
+        animationId = requestAnimationFrame(animate);
+    }
 
-            timeStat.textContent = accumulatedTime.toFixed(2) + " s";
+    // Current setup stops early when it strikes the challenge target
+    function mainEndTime() {
+        return challenge.result && challenge.result.hit ? challenge.result.t : totalFlightTime;
+    }
 
-            if (currentY < 0) {
-                currentY = 0;
-                isAnimating = false;
-                togglePlaybackUI(false);
+    // Longest flight among the current setup and the comparison shots
+    function animationEndTime() {
+        return Math.max(mainEndTime(), ...comparisonShots().map(s => s.trajectory.totalFlightTime));
+    }
 
-                const stats = calculateTrajectoryStats(); // Get exact flight time
-                timeStat.textContent = stats.totalFlightTime.toFixed(2) + " s";
-                currentX = vx * stats.totalFlightTime;
+    // Move the simulation clock (either way); returns true once every projectile has landed
+    function advanceTo(time) {
+        const endTime = animationEndTime();
+        const rewinding = time < accumulatedTime;
+        const from = accumulatedTime;
+        accumulatedTime = Math.min(Math.max(time, 0), endTime);
+        if (!rewinding) narrateEvents(from, accumulatedTime);
+
+        // Going back: redraw the path from the engine samples up to the new moment
+        if (rewinding) {
+            const tEnd = Math.min(accumulatedTime, mainEndTime());
+            path = trajectory.points.filter(pt => pt.t < tEnd).map(pt => ({ x: pt.x, y: pt.y, t: pt.t }));
+            mainLanded = false;
+        }
 
-                path.push({ x: currentX, y: 0 });
-                drawScene(currentX, currentY);
-                return;
+        // Current setup stops at its own impact while the others keep flying
+        if (!mainLanded) {
+            const state = stateAt(trajectory, accumulatedTime);
+            currentX = state.x;
+            currentY = state.y;
+            path.push({ x: currentX, y: currentY, t: accumulatedTime });
+            mainLanded = accumulatedTime >= mainEndTime();
+            if (mainLanded) {
+                revealChallengeResult();
+                recordLanding();
             }
-
-            path.push({ x: currentX, y: currentY });
         }
 
-        drawScene(currentX, currentY);
-        animationId = requestAnimationFrame(animate);
+        timeStat.textContent = Math.min(accumulatedTime, mainEndTime()).toFixed(2) + " s";
+        updateDataTable();
+        updateBounceTable();
+        return accumulatedTime >= endTime;
     }
 
     // --- Input Locking Helper ---
@@ -504,10 +1390,44 @@ document.addEventListener('DOMContentLoaded', () => {
         if (velocityNum) velocityNum.disabled = disabled;
         if (gravityNum) gravityNum.disabled = disabled;
         if (heightNum) heightNum.disabled = disabled;
+        if (environmentSelect) environmentSelect.disabled = disabled;
+        if (ballSelect) ballSelect.disabled = disabled;
+        if (launcherSpeedNum) launcherSpeedNum.disabled = disabled;
+
+        // Air Resistance, Wind, Terrain & Bouncing
+        dragInputs.forEach(el => { if (el) el.disabled = disabled; });
+        spinInputs.forEach(el => { if (el) el.disabled = disabled; });
+        fieldInputs.forEach(el => { if (el) el.disabled = disabled; });
+        terrainInputs.forEach(el => { if (el) el.disabled = disabled; });
+        bounceInputs.forEach(el => { if (el) el.disabled = disabled; });
+        view3dInputs.forEach(el => { if (el) el.disabled = disabled; });
+
+        // The 3D views can be swapped mid-run, but not 2D for 3D (that changes the physics)
+        if (view3dSelect) view3dSelect.querySelectorAll('option').forEach(option => {
+            option.disabled = disabled && (option.value === 'off') !== (view3dSelect.value === 'off');
+        });
 
         // Checkboxes
         if (showPredictionCheck) showPredictionCheck.disabled = disabled;
         if (showVectorsCheck) showVectorsCheck.disabled = disabled;
+        if (showGhostCheck) showGhostCheck.disabled = disabled;
+
+        // Target Challenge
+        if (challengeModeSelect) challengeModeSelect.disabled = disabled;
+        if (newTargetBtn) newTargetBtn.disabled = disabled;
+
+        // Presets (loading one would change the inputs mid-run)
+        if (presetSelect) presetSelect.disabled = disabled;
+        if (importPresetsBtn) importPresetsBtn.disabled = disabled;
+        if (loadWorksheetBtn) loadWorksheetBtn.disabled = disabled;
+
+        // Comparison Shots
+        if (addShotBtn) addShotBtn.disabled = disabled;
+        if (clearShotsBtn) clearShotsBtn.disabled = disabled || shots.length === 0;
+        shotsBody.querySelectorAll('.shot-remove').forEach(btn => { btn.disabled = disabled; });
+
+        // Worksheet locks outlast runs
+        lockedControls().forEach(el => { el.disabled = true; });
 
         // Add visual feedback class to sidebar if needed (optional)
         const sidebar = document.querySelector('.controls-section');
@@ -522,40 +1442,62 @@ document.addEventListener('DOMContentLoaded', () => {
             launchText.textContent = "Restart";
             pauseBtn.disabled = false;
             stepBtn.disabled = false;
-            launchBtn.onclick = launch;
         } else {
             launchText.textContent = "Launch";
             pauseBtn.disabled = true;
             stepBtn.disabled = true;
             // Reset to pause icon (Premium Filled)
             pauseBtn.innerHTML = '<svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor" stroke="none"><rect x="6" y="4" width="4" height="16" rx="1"></rect><rect x="14" y="4" width="4" height="16" rx="1"></rect></svg>';
+            pauseBtn.setAttribute('aria-label', "Pause");
         }
+
+        // A finished run can still be stepped back through or replayed until Reset
+        stepBackBtn.disabled = path.length === 0;
+        replayBtn.disabled = path.length === 0;
     }
 
     function launch() {
         isAnimating = false;
         cancelAnimationFrame(animationId);
+        cancelRecording();
 
         // Lock Inputs
         toggleInputs(true);
+        markWorksheetLaunched();
 
         const stats = calculateTrajectoryStats();
         heightStat.textContent = stats.maxAltitude.toFixed(2) + " m";
         rangeStat.textContent = stats.maxRange.toFixed(2) + " m";
+        updateVacuumComparison(dragModel !== 'none');
+
+        // Score this launch against the target (revealed when it lands)
+        challenge.result = null;
+        challenge.revealed = false;
+        if (challenge.target) {
+            challenge.result = checkHit(trajectory, challenge.target);
+            challenge.attempts++;
+            challengeFeedback.textContent = "";
+            updateChallengePanel();
+        }
 
-        autoZoom(stats.maxAltitude, stats.maxRange);
+        fitAll();
 
+        inspectTime = null;
         path = [];
-        path.push({ x: 0, y: h0 });
+        path.push({ x: 0, y: launchY, t: 0 });
         accumulatedTime = 0;
         currentX = 0;
-        currentY = h0;
+        currentY = launchY;
+        mainLanded = false;
+        landingRecorded = false;
+        updateDataTable();
 
         isAnimating = true;
         isPaused = false;
         lastFrameTime = 0;
 
         togglePlaybackUI(true);
+        announce(`Launched at ${angleDeg.toFixed(1)}° and ${v0.toFixed(1)} m/s`);
 
         animationId = requestAnimationFrame(animate);
     }
@@ -567,69 +1509,560 @@ document.addEventListener('DOMContentLoaded', () => {
         if (isPaused) {
             // Play Icon (Premium Filled)
             pauseBtn.innerHTML = '<svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor" stroke="none"><path d="M5.5 3.5a1.5 1.5 0 0 1 2.224-1.312l13 7a1.5 1.5 0 0 1 0 2.624l-13 7A1.5 1.5 0 0 1 5.5 17.5v-14z"></path></svg>';
+            pauseBtn.setAttribute('aria-label', "Resume");
+            announce(`Paused at ${accumulatedTime.toFixed(2)} s`);
         } else {
             // Pause Icon (Premium Filled)
             pauseBtn.innerHTML = '<svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor" stroke="none"><rect x="6" y="4" width="4" height="16" rx="1"></rect><rect x="14" y="4" width="4" height="16" rx="1"></rect></svg>';
+            pauseBtn.setAttribute('aria-label', "Pause");
             lastFrameTime = performance.now();
         }
+        pauseRecording(isPaused);
+        updateTone();
     }
 
     function stepForward() {
-        if (!isAnimating) return;
-        if (!isPaused) {
-            togglePause();
-        }
+        stepBy(stepSize());
+    }
+
+    function stepBackward() {
+        stepBy(-stepSize());
+    }
 
-        const dt = 0.05;
-        accumulatedTime += dt;
+    function stepSize() {
+        return clampInput(stepSizeNum, readNumber(stepSizeNum, 0.05));
+    }
+
+    // Apex and impact times of the current shot (every hop), where steps stop exactly
+    function playbackEvents() {
+        const times = trajectory.hops.flatMap(hop => [hop.peak ? hop.peak.t : null, hop.t + hop.time]);
+        if (trajectory.roll) times.push(trajectory.roll.t + trajectory.roll.time);
+        times.push(mainEndTime(), animationEndTime());
+        return times.filter(t => t !== null && t <= animationEndTime());
+    }
 
-        currentX = vx * accumulatedTime;
-        currentY = h0 + (vy * accumulatedTime) - (0.5 * g * accumulatedTime * accumulatedTime);
+    // Pause and move the clock by delta seconds, stopping at any event on the way
+    function stepBy(delta) {
+        if (path.length === 0) return;
+        if (!isAnimating) {
+            // Finished: only stepping back has anywhere to go
+            if (delta > 0) return;
+            reopenRun();
+        } else if (!isPaused) {
+            togglePause();
+        }
 
-        timeStat.textContent = accumulatedTime.toFixed(2) + " s";
+        let time = accumulatedTime + delta;
+        playbackEvents().forEach(t => {
+            if (delta > 0 && t > accumulatedTime + 1e-9 && t < time) time = t;
+            if (delta < 0 && t < accumulatedTime - 1e-9 && t > time) time = t;
+        });
 
-        if (currentY < 0) {
-            currentY = 0;
+        if (advanceTo(time)) {
             isAnimating = false;
 
             // Do NOT unlock inputs here, wait for Reset
             togglePlaybackUI(false);
-        } else {
-            path.push({ x: currentX, y: currentY });
         }
 
+        announce(describeMoment());
         drawScene(currentX, currentY);
+        if (!isAnimating) finishRecording();
+    }
+
+    // Resume a finished run, paused, so it can be stepped or played on
+    function reopenRun() {
+        isAnimating = true;
+        isPaused = false;
+        togglePlaybackUI(true);
+        togglePause();
+        lastFrameTime = 0;
+        animationId = requestAnimationFrame(animate);
+    }
+
+    // Play the launched shot again from t = 0 (the challenge attempt is not counted twice)
+    function replay() {
+        if (path.length === 0) return;
+        cancelAnimationFrame(animationId);
+        cancelRecording();
+        advanceTo(0);
+
+        if (!isAnimating) {
+            isAnimating = true;
+            togglePlaybackUI(true);
+        }
+        if (isPaused) togglePause();
+        announce("Replaying from launch");
+        lastFrameTime = 0;
+        animationId = requestAnimationFrame(animate);
     }
 
     function reset() {
         isAnimating = false;
         cancelAnimationFrame(animationId);
+        cancelRecording();
         path = [];
         accumulatedTime = 0;
+        inspectTime = null;
 
         // Unlock Inputs
         toggleInputs(false);
         togglePlaybackUI(false);
+        updateTone();
 
         timeStat.textContent = "0.00 s";
         heightStat.textContent = "0.00 m";
         rangeStat.textContent = "0.00 m";
+        updateVacuumComparison(false);
+
+        challenge.result = null;
+        challenge.revealed = false;
+        updateDataTable();
+        updateBounceTable();
 
         const stats = calculateTrajectoryStats();
-        drawScene(0, h0);
+        drawScene(0, launchY);
+        announce("Reset to the launch pad");
     }
 
-    function updateEquationPanel() {
-        if (eqY) {
-            eqY.textContent = h0.toFixed(1);
-            eqVy.textContent = vy.toFixed(1);
-            eqG.textContent = g.toFixed(1);
-            eqVx.textContent = vx.toFixed(1);
-        }
+    // --- Comparison Shots ---
+
+    // Saved shots that differ from the current setup (identical ones would overlap)
+    function comparisonShots() {
+        return shots.filter(shot => shot.key !== trajectoryKey);
     }
 
-    // --- Inputs Handling ---
-    // --- Inputs Handling (Consolidated) ---
+    function addShot() {
+        calculateTrajectoryStats();
+
+        const id = nextShotId++;
+        shots.push({
+            id,
+            name: "Shot " + id,
+            color: SHOT_COLORS[(id - 1) % SHOT_COLORS.length],
+            key: trajectoryKey,
+            params: structuredClone(params),
+            trajectory
+        });
+
+        clearShotsBtn.disabled = false;
+        renderShotsTable();
+        drawScene(0, launchY);
+    }
+
+    function removeShot(id) {
+        shots = shots.filter(shot => shot.id !== id);
+        clearShotsBtn.disabled = shots.length === 0;
+        renderShotsTable();
+        drawScene(0, launchY);
+    }
+
+    function clearShots() {
+        shots = [];
+        clearShotsBtn.disabled = true;
+        renderShotsTable();
+        drawScene(0, launchY);
+    }
+
+    function renderShotsTable() {
+        shotsPanel.hidden = shots.length === 0;
+        shotsBody.replaceChildren();
+        if (shots.length === 0) return;
+
+        const current = { name: "Current", color: "#0284c7", params, trajectory };
+        [current, ...shots].forEach(shot => {
+            const row = document.createElement('tr');
+            const p = shot.params;
+            const traj = shot.trajectory;
+
+            // Name (editable for saved shots)
+            const nameCell = document.createElement('td');
+            const label = document.createElement('div');
+            label.className = 'shot-label';
+            const swatch = document.createElement('span');
+            swatch.className = 'shot-swatch';
+            swatch.style.background = shot.color;
+            label.append(swatch);
+
+            if (shot === current) {
+                row.className = 'is-current';
+                label.append(shot.name);
+            } else {
+                const nameInput = document.createElement('input');
+                nameInput.className = 'shot-name';
+                nameInput.value = shot.name;
+                nameInput.addEventListener('input', () => {
+                    shot.name = nameInput.value;
+                    redraw();
+                });
+                label.append(nameInput);
+            }
+            nameCell.append(label);
+            row.append(nameCell);
+
+            [
+                p.angle.toFixed(1) + "°",
+                p.v0.toFixed(1) + " m/s",
+                p.g.toFixed(2) + " m/s²",
+                p.h0.toFixed(1) + " m",
+                p.drag.model === 'none' ? "—" : p.drag.model,
+                traj.totalFlightTime.toFixed(2) + " s",
+                traj.maxAltitude.toFixed(2) + " m",
+                traj.maxRange.toFixed(2) + " m"
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.append(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            if (shot !== current) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'shot-remove';
+                removeBtn.title = "Remove " + shot.name;
+                removeBtn.textContent = "×";
+                removeBtn.disabled = addShotBtn.disabled; // Locked while a run is on screen
+                removeBtn.addEventListener('click', () => removeShot(shot.id));
+                actionCell.append(removeBtn);
+            }
+            row.append(actionCell);
+
+            shotsBody.append(row);
+        });
+    }
+
+    // --- Target Challenge ---
+
+    // Far corner of the target in meters (0,0 when there is none)
+    function targetExtent() {
+        const target = challenge.target;
+        if (!target) return { x: 0, y: 0 };
+        if (target.type === 'wall') return { x: target.x + target.width, y: target.base + target.height };
+        if (target.type === 'platform') return { x: target.x2, y: target.y };
+        return { x: target.x + target.radius, y: target.y + target.radius };
+    }
+
+    function newTarget() {
+        const type = challengeModeSelect.value;
+        challengeStatus.textContent = "";
+        if (type === 'off') {
+            challenge.target = null;
+        } else {
+            // Somewhere in the area currently on screen, reachable with the current drag, wind and field
+            calculateValues();
+            challenge.target = createTarget(type, {
+                maxX: (canvas.width - PADDING_LEFT - 100) / targetScale,
+                maxY: (CANVAS_GROUND_Y - 100) / targetScale,
+                maxV0: MAX_LAUNCH_SPEED
+            }, params);
+
+            if (challenge.target) {
+                const aim = aimPoint(challenge.target);
+                solverX.value = aim.x.toFixed(1);
+                solverY.value = aim.y.toFixed(1);
+            } else {
+                challengeModeSelect.value = 'off';
+                challengeStatus.textContent = `No target on screen can be reached at up to ${MAX_LAUNCH_SPEED} m/s. ` +
+                    "Zoom in or change the setup, then pick the challenge again.";
+            }
+        }
+
+        challenge.attempts = 0;
+        challenge.assisted = false;
+        challenge.result = null;
+        challenge.revealed = false;
+        challengeFeedback.textContent = "";
+        challengeFeedback.className = "challenge-feedback";
+        solverResult.replaceChildren();
+        updateChallengePanel();
+        drawScene(0, launchY);
+    }
+
+    function updateChallengePanel() {
+        const target = challenge.target;
+        challengePanel.hidden = !target;
+        if (!target) return;
+
+        if (target.type === 'wall') {
+            challengeTargetText.textContent = `Wall at x = ${target.x.toFixed(1)} m, ${target.height.toFixed(1)} m tall`;
+        } else if (target.type === 'platform') {
+            challengeTargetText.textContent = `Platform x = ${target.x1.toFixed(1)}–${target.x2.toFixed(1)} m at y = ${target.y.toFixed(1)} m`;
+        } else {
+            challengeTargetText.textContent = `Target at (${target.x.toFixed(1)}, ${target.y.toFixed(1)}) m, radius ${target.radius.toFixed(1)} m`;
+        }
+
+        challengeAttempts.textContent = challenge.attempts;
+        challengeHits.textContent = challenge.hits;
+        challengeScore.textContent = challenge.score;
+    }
+
+    // Show the launch outcome once the current shot has landed (or struck the target)
+    function revealChallengeResult() {
+        const result = challenge.result;
+        if (!result || challenge.revealed) return;
+        challenge.revealed = true;
+
+        let message = result.message;
+        if (result.hit && !challenge.target.hit) {
+            challenge.target.hit = true;
+            challenge.hits++;
+
+            if (challenge.assisted) {
+                message += " (solver used, no points)";
+            } else {
+                const points = scoreForAttempt(challenge.attempts);
+                challenge.score += points;
+                message += ` +${points}`;
+            }
+        }
+
+        challengeFeedback.textContent = message;
+        announce(message);
+        challengeFeedback.className = "challenge-feedback " + (result.hit ? "is-hit" : "is-miss");
+        updateChallengePanel();
+    }
+
+    // --- Inverse Solver ---
+
+    function solveForTarget() {
+        calculateTrajectoryStats();
+        const x = readNumber(solverX, 0);
+        const y = readNumber(solverY, 0);
+        solverResult.replaceChildren();
+
+        if (x < 0) {
+            solverResult.textContent = "Target X must be ≥ 0";
+            return;
+        }
+
+        // Using the solver on a live target forfeits its points
+        if (challenge.target && !challenge.target.hit) challenge.assisted = true;
+
+        const angles = solveLaunchAngles(params, { x, y });
+        if (!angles) {
+            solverResult.textContent = `Unreachable at ${v0.toFixed(1)} m/s`;
+            return;
+        }
+
+        const options = Math.abs(angles.high - angles.low) < 0.05
+            ? [["Angle", angles.low]]
+            : [["Low", angles.low], ["High", angles.high]];
+
+        options.forEach(([label, angle]) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary btn-small';
+            btn.textContent = `${label} ${angle.toFixed(1)}°`;
+
+            // Sliders only cover 0–90°
+            if (angle < 0 || angle > 90) {
+                btn.disabled = true;
+                btn.title = "Outside the 0–90° launch range";
+            } else {
+                btn.title = "Use this launch angle";
+                btn.addEventListener('click', () => applyAngle(angle));
+            }
+            solverResult.append(btn);
+        });
+    }
+
+    function applyAngle(angle) {
+        if (angleNum.disabled) return;
+        angleNum.value = angle.toFixed(1);
+        angleInput.value = angle.toFixed(1);
+        updateSimulation();
+    }
+
+    // --- Live Data Table ---
+
+    function updateDataTable() {
+        const interval = Math.max(readNumber(sampleIntervalNum, 0.1), 0.01);
+        const columns = dataColumns(is3D());
+        if (columns !== dataHeadColumns) renderDataHead(columns);
+
+        // Samples of the current shot up to the present moment (nothing before launch)
+        const rows = path.length === 0 ? [] : sampleTrajectory(trajectory, {
+            interval,
+            tEnd: Math.min(accumulatedTime, mainEndTime()),
+            mass: params.drag.mass,
+            includeEnd: mainLanded
+        });
+
+        // Rows only grow during a run; start over if anything earlier changed
+        const keep = dataRows.length <= rows.length && dataRows.every((row, i) => row.t === rows[i].t)
+            ? dataRows.length
+            : 0;
+        if (keep === 0) dataBody.replaceChildren();
+
+        rows.slice(keep).forEach(row => {
+            const tr = document.createElement('tr');
+            columns.forEach(col => {
+                const td = document.createElement('td');
+                td.textContent = row[col.key].toFixed(2);
+                tr.append(td);
+            });
+            dataBody.append(tr);
+        });
+
+        // Follow the newest row while recording
+        if (rows.length > keep) dataScroll.scrollTop = dataScroll.scrollHeight;
+
+        dataRows = rows;
+        dataCount.textContent = rows.length === 0
+            ? "Launch to record data"
+            : `${rows.length} samples · m = ${params.drag.mass} kg`;
+        exportCsvBtn.disabled = rows.length === 0;
+        exportJsonBtn.disabled = rows.length === 0;
+    }
+
+    // Header with units; the rows start over since their columns change with it
+    function renderDataHead(columns) {
+        dataHead.replaceChildren(...columns.map(col => {
+            const th = document.createElement('th');
+            th.textContent = `${col.label} (${col.unit})`;
+            return th;
+        }));
+        dataHeadColumns = columns;
+        dataRows = [];
+    }
+
+    // --- Bounce Log ---
+
+    // One row per finished hop (launch, then each bounce), plus the roll once it stops
+    function updateBounceTable() {
+        const bouncing = params.bounce.restitution > 0 && path.length > 0;
+        bouncePanel.hidden = !bouncing;
+
+        const now = Math.min(accumulatedTime, mainEndTime());
+        const hops = bouncing ? trajectory.hops.filter(hop => hop.t + hop.time <= now) : [];
+        const roll = bouncing && trajectory.roll && trajectory.roll.t + trajectory.roll.time <= now ? trajectory.roll : null;
+
+        const count = hops.length + (roll ? 1 : 0);
+        if (count === bounceRowCount) return;
+        bounceRowCount = count;
+
+        const rows = hops.map((hop, i) => [
+            i === 0 ? "Launch" : "Bounce " + i,
+            hop.t.toFixed(2) + " s",
+            hop.time.toFixed(2) + " s",
+            hop.range.toFixed(2) + " m",
+            hop.apex.toFixed(2) + " m"
+        ]);
+        if (roll) {
+            rows.push(["Roll", roll.t.toFixed(2) + " s", roll.time.toFixed(2) + " s", roll.distance.toFixed(2) + " m", "—"]);
+        }
+
+        bounceBody.replaceChildren(...rows.map(cells => {
+            const row = document.createElement('tr');
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.append(cell);
+            });
+            return row;
+        }));
+    }
+
+    // --- Live Graphs ---
+
+    function drawGraphs() {
+        if (graphsPanel.hidden) return;
+
+        // Resample only when the shot (or where it stops) changed
+        const endTime = mainEndTime();
+        const key = trajectoryKey + '|' + endTime + '|' + params.drag.mass;
+        if (key !== graphDataKey) {
+            graphData = buildGraphData(trajectory, { mass: params.drag.mass, endTime });
+            graphDataKey = key;
+        }
+
+        const cursor = path.length > 0 ? Math.min(accumulatedTime, endTime) : null;
+        GRAPHS.forEach(graph => drawGraph(graphContexts[graph.id], graph, graphData, cursor));
+    }
+
+    // --- Energy & Momentum ---
+
+    function updateEnergyPanel() {
+        if (!energyPanel || energyPanel.hidden) return;
+
+        // Inspected moment if any, else the launch state until a run starts, then the clock
+        let time = path.length > 0 ? Math.min(accumulatedTime, mainEndTime()) : 0;
+        if (inspectTime !== null) time = inspectTime;
+        const energy = energyAt(trajectory, time, params.drag.mass);
+
+        // Bars share one scale so they can be compared by length
+        const scale = Math.max(energy.ke, Math.abs(energy.pe), Math.abs(energy.mechanical),
+            Math.abs(energy.dragLoss), Math.abs(energy.contactLoss), 1e-9);
+        const shown = {
+            dragLoss: params.drag.model !== 'none',
+            contactLoss: trajectory.hops.length > 1 || trajectory.roll !== null
+        };
+        energyRows.forEach(row => {
+            const value = energy[row.dataset.energy];
+            row.hidden = shown[row.dataset.energy] === false;
+            row.querySelector('.energy-fill').style.width = (Math.abs(value) / scale * 100).toFixed(1) + '%';
+            row.querySelector('.energy-value').textContent = value.toFixed(2) + ' J';
+        });
+
+        momentumX.textContent = energy.px.toFixed(2);
+        momentumY.textContent = energy.py.toFixed(2);
+        momentumZ.textContent = energy.pz.toFixed(2);
+        momentumZRow.hidden = !is3D();
+        momentumMag.textContent = Math.hypot(energy.px, energy.py, energy.pz).toFixed(2);
+
+        const drift = (energy.relativeDrift * 100).toFixed(energy.relativeDrift < 1e-4 ? 4 : 2) + '%';
+        const lossless = !shown.dragLoss && !shown.contactLoss;
+        const drifting = energy.relativeDrift > DRIFT_TOLERANCE;
+        energyCheck.classList.toggle('is-warning', drifting);
+        if (drifting) {
+            energyCheck.textContent = `⚠ Numerical drift: ${drift} of the launch energy is unaccounted for`;
+        } else {
+            energyCheck.textContent = lossless
+                ? `✓ Mechanical energy conserved (drift ${drift})`
+                : `✓ Energy balances: mechanical + losses = launch energy (drift ${drift})`;
+        }
+    }
+
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        // Some browsers only start the download after click() returns, so free the blob a little later
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function exportCSV() {
+        downloadFile('projectile-run.csv', toCSV(dataRows, dataHeadColumns), 'text/csv');
+    }
+
+    function exportJSON() {
+        const meta = {
+            params: trajectory.params,
+            sampleInterval: Math.max(readNumber(sampleIntervalNum, 0.1), 0.01),
+            mass: params.drag.mass
+        };
+        downloadFile('projectile-run.json', toJSON(dataRows, meta, dataHeadColumns), 'application/json');
+    }
+
+    // Vacuum figures under each stat card while drag is on
+    function updateVacuumComparison(show) {
+        timeVacuumStat.textContent = show ? "vacuum " + vacuumTrajectory.totalFlightTime.toFixed(2) + " s" : "";
+        heightVacuumStat.textContent = show ? "vacuum " + vacuumTrajectory.maxAltitude.toFixed(2) + " m" : "";
+        rangeVacuumStat.textContent = show ? "vacuum " + vacuumTrajectory.maxRange.toFixed(2) + " m" : "";
+    }
+
+    function updateEquationPanel() {
+        if (eqY) {
+            eqY.textContent = launchY.toFixed(1);
+            eqVy.textContent = vy.toFixed(1);
+            eqG.textContent = g.toFixed(1);
+            eqVx.textContent = (vx - frameVelocity()).toFixed(1);
+        }
+    }
+
+    // --- Inputs Handling ---
+    // --- Inputs Handling (Consolidated) ---
 
     // Unified Input Handler for both Sliders and Number Inputs
     function handleInput(e) {
@@ -672,19 +2105,60 @@ document.addEventListener('DOMContentLoaded', () => {
     // Explicit Validation on Blur (User finished typing)
     function validateInput(e) {
         const target = e.target;
-        let val = parseFloat(target.value);
+        const val = clampInput(target, parseFloat(target.value));
+
+        target.value = val;
+        syncSliderPartner(target, val);
+        updateSimulation();
+    }
 
+    // Keep a number input inside its allowed range (default value if not a number)
+    function clampInput(target, val) {
         if (target.id.includes('angle')) {
             val = Math.min(Math.max(val, 0), 90);
         } else if (target.id.includes('velocity')) {
             val = Math.min(Math.max(val, 1), 100);
         } else if (target.id.includes('gravity')) {
-            val = Math.min(Math.max(val, 1), 20); // strict clampling
+            val = Math.min(Math.max(val, 0.5), 30); // Moon (1.62) to Jupiter (24.79) and a bit beyond
         } else if (target.id.includes('height')) {
             val = Math.max(val, 0);
+        } else if (target === massNum) {
+            val = Math.min(Math.max(val, 0.01), 1000);
+        } else if (target === dragCdNum) {
+            val = Math.min(Math.max(val, 0.01), 2);
+        } else if (target === dragAreaNum) {
+            val = Math.min(Math.max(val, 0.0001), 10);
+        } else if (target === airDensityNum) {
+            val = Math.min(Math.max(val, 0), 100);
+        } else if (target === restitutionNum) {
+            val = Math.min(Math.max(val, 0), 1);
+        } else if (target === frictionNum) {
+            val = Math.min(Math.max(val, 0), 2);
+        } else if (target === inclineAngleNum) {
+            val = Math.min(Math.max(val, -60), 60);
+        } else if (target === stepXNum) {
+            val = Math.max(val, 0);
+        } else if (target === windXNum || target === windYNum || target === crosswindNum) {
+            val = Math.min(Math.max(val, -50), 50);
+        } else if (target === fieldAxNum) {
+            val = Math.min(Math.max(val, -50), 50);
+        } else if (target === fieldAyNum) {
+            // Stay below g so the projectile still comes back down
+            val = Math.min(Math.max(val, -50), +(readNumber(gravityNum, 9.8) - 0.1).toFixed(2));
+        } else if (target === launcherSpeedNum) {
+            val = Math.min(Math.max(val, -50), 50);
+        } else if (target === azimuthNum || target === spinTiltNum) {
+            val = Math.min(Math.max(val, -90), 90);
+        } else if (target === spinRateNum) {
+            val = Math.min(Math.max(val, -10000), 10000);
+        } else if (target === stepSizeNum) {
+            val = Math.min(Math.max(val, 0.001), 1);
         }
+        if (isNaN(val)) val = parseFloat(target.defaultValue);
+        return val;
+    }
 
-        target.value = val;
+    function syncSliderPartner(target, val) {
         const partnerId = {
             'angle': 'angleNum', 'angleNum': 'angle',
             'velocity': 'velocityNum', 'velocityNum': 'velocity',
@@ -693,24 +2167,125 @@ document.addEventListener('DOMContentLoaded', () => {
         }[target.id];
 
         if (partnerId) document.getElementById(partnerId).value = val;
-        updateSimulation();
+    }
+
+    // Number input value, or fallback if empty / not a number (0 is a valid value)
+    function readNumber(el, fallback) {
+        const val = parseFloat(el.value);
+        return Number.isFinite(val) ? val : fallback;
+    }
+
+    // Terrain description for the engine from the inputs of the selected type
+    function readTerrain(type) {
+        if (type === 'incline') return { type, angle: Math.min(Math.max(readNumber(inclineAngleNum, 15), -60), 60) };
+        if (type === 'step') return { type, x: Math.max(readNumber(stepXNum, 100), 0), height: readNumber(stepHeightNum, -20) };
+        if (type === 'custom') {
+            // "x,y x,y ..." — falls back to flat ground until at least two points parse
+            const points = terrainProfileInput.value.trim().split(/\s+/).map(pair => {
+                const [x, y] = pair.split(',').map(Number);
+                return { x, y };
+            }).filter(pt => Number.isFinite(pt.x) && Number.isFinite(pt.y));
+
+            const valid = points.length >= 2;
+            terrainProfileInput.classList.toggle('is-invalid', !valid);
+            if (valid) return { type, points };
+        }
+        return { type: 'flat' };
     }
 
     function calculateValues() {
         // Read from Number Inputs (Primary Source for precision)
-        // Fallback to defaults if NaN
-        v0 = parseFloat(velocityNum.value) || 60;
-        angleDeg = parseFloat(angleNum.value) || 45;
+        // Fallback to defaults if NaN. clampInput only runs on change, so keep what the
+        // engine rejects (a negative speed, g <= 0, h0 < 0) out while the user is still typing
+        v0 = Math.max(readNumber(velocityNum, 60), 0);
+        angleDeg = readNumber(angleNum, 45);
 
         // Safety Check: Gravity > 0
-        let rawG = parseFloat(gravityNum.value) || 9.8;
+        let rawG = readNumber(gravityNum, 9.8);
         g = Math.max(rawG, 0.1); // Prevent division by zero
 
-        h0 = parseFloat(heightNum.value) || 0;
+        h0 = Math.max(readNumber(heightNum, 0), 0);
         angleRad = angleDeg * (Math.PI / 180);
 
-        vx = v0 * Math.cos(angleRad);
+        // Ground-frame launch velocity: aimed velocity plus the launcher's own
+        launcherVx = clampInput(launcherSpeedNum, readNumber(launcherSpeedNum, 0));
+        vx = v0 * Math.cos(angleRad) + launcherVx;
         vy = v0 * Math.sin(angleRad);
+
+        // Environment: editing g or the air density by hand makes it custom
+        environment = findEnvironment(environmentSelect.value);
+        if (environment.id !== 'custom' &&
+            (g !== environment.g || readNumber(airDensityNum, 1.225) !== environment.rho)) {
+            environmentSelect.value = 'custom';
+            environment = findEnvironment('custom');
+        }
+
+        // Air Resistance
+        dragModel = dragModelSelect.value;
+        dragParams.classList.toggle('is-disabled', dragModel === 'none');
+
+        // Ball: editing its mass, drag or size by hand makes it custom
+        const ball = findBall(ballSelect.value);
+        if (ball.id !== 'custom' && (readNumber(massNum, 0.45) !== ball.mass ||
+            readNumber(dragCdNum, 0.47) !== ball.cd || readNumber(dragAreaNum, 0.038) !== ball.area)) {
+            ballSelect.value = 'custom';
+        }
+
+        // 3D Mode: the sideways aim and the crosswind only count while it is on
+        const threeD = is3D();
+        view3dParams.classList.toggle('is-disabled', !threeD);
+        [rulerToolBtn, protractorToolBtn].forEach(btn => { if (btn) btn.disabled = threeD; });
+        const azimuth = threeD ? clampInput(azimuthNum, readNumber(azimuthNum, 0)) : 0;
+
+        // Spin (a tilted axis curves the ball sideways, so the tilt needs 3D too)
+        spinTiltField.classList.toggle('is-disabled', !threeD);
+        const spin = {
+            rate: clampInput(spinRateNum, readNumber(spinRateNum, 0)),
+            tilt: threeD ? clampInput(spinTiltNum, readNumber(spinTiltNum, 0)) : 0
+        };
+        spinHint.hidden = dragModel !== 'none' || spin.rate === 0;
+
+        // Wind & Force Field (the field may not cancel gravity, or nothing would land)
+        const wind = {
+            vx: readNumber(windXNum, 0),
+            vy: readNumber(windYNum, 0),
+            vz: threeD ? clampInput(crosswindNum, readNumber(crosswindNum, 0)) : 0
+        };
+        const field = { ax: readNumber(fieldAxNum, 0), ay: Math.min(readNumber(fieldAyNum, 0), g - 0.1) };
+        windHint.hidden = dragModel !== 'none' || (wind.vx === 0 && wind.vy === 0 && wind.vz === 0);
+
+        // Terrain
+        const terrainType = terrainTypeSelect.value;
+        terrainFields.forEach(el => { el.hidden = el.dataset.terrain !== terrainType; });
+        terrain = normalizeTerrain(readTerrain(terrainType));
+        launchY = groundHeight(terrain, 0) + h0;
+
+        // Bouncing (rolling needs some friction to ever stop)
+        const bounceMode = bounceModeSelect.value;
+        bounceParams.classList.toggle('is-disabled', bounceMode === 'off');
+        const bounce = {
+            restitution: bounceMode === 'off' ? 0 : Math.min(Math.max(readNumber(restitutionNum, 0.6), 0), 1),
+            friction: Math.min(Math.max(readNumber(frictionNum, 0.2), 0), 2),
+            roll: bounceMode === 'roll'
+        };
+        if (bounce.roll) bounce.friction = Math.max(bounce.friction, 0.01);
+
+        params = {
+            v0, angle: angleDeg, azimuth, g, h0,
+            launcherVx,
+            wind,
+            spin,
+            field,
+            terrain,
+            bounce,
+            drag: {
+                model: dragModel,
+                mass: Math.max(readNumber(massNum, 0.45), 0.01),
+                cd: clampInput(dragCdNum, readNumber(dragCdNum, 0.47)),
+                area: clampInput(dragAreaNum, readNumber(dragAreaNum, 0.038)),
+                rho: clampInput(airDensityNum, readNumber(airDensityNum, 1.225))
+            }
+        };
     }
 
     function updateSimulation() {
@@ -719,34 +2294,1921 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (!isAnimating) {
             calculateTrajectoryStats();
-            // Start at 0,h0
-            drawScene(0, h0);
+            renderShotsTable();
+            updateDataTable();
+            // Start at the launch point
+            drawScene(0, launchY);
         }
+        updateSweepPanel();
+        updateDispersionPanel();
+        updateFitPanel();
+        updateView3dStatus();
+        describeScene();
+        updateShareUrl();
     }
 
-    // Listeners
-    const inputs = [
-        angleInput, angleNum,
-        velocityInput, velocityNum,
-        gravityInput, gravityNum,
-        heightInput, heightNum
-    ];
+    // Planet preset: set g and the air density (used once drag is on)
+    function applyEnvironment() {
+        const env = findEnvironment(environmentSelect.value);
+        if (env.id !== 'custom') {
+            gravityNum.value = env.g;
+            gravityInput.value = env.g;
+            airDensityNum.value = env.rho;
+        }
+        updateSimulation();
+    }
 
-    inputs.forEach(el => {
-        if (el) {
-            el.addEventListener('input', handleInput);
-            el.addEventListener('change', validateInput); // Validate on final commit
+    // Sports ball: its mass, size and drag (with quadratic air resistance), and a typical shot
+    function applyBall() {
+        const ball = findBall(ballSelect.value);
+        if (ball.id !== 'custom') {
+            massNum.value = ball.mass;
+            dragCdNum.value = ball.cd;
+            dragAreaNum.value = ball.area;
+            if (dragModelSelect.value === 'none') dragModelSelect.value = 'quadratic';
+            setControl(velocityNum, velocityInput, ball.shot.v0);
+            setControl(angleNum, angleInput, ball.shot.angle);
+            spinRateNum.value = ball.shot.spin;
         }
-    });
+        updateSimulation();
+    }
 
-    if (showPredictionCheck) showPredictionCheck.addEventListener('change', () => drawScene(isAnimating ? currentX : 0, isAnimating ? currentY : h0));
-    if (showVectorsCheck) showVectorsCheck.addEventListener('change', () => drawScene(isAnimating ? currentX : 0, isAnimating ? currentY : h0));
+    // --- View Tools ---
+
+    // Fit every projectile in flight, the target and the ground beneath them
+    function fitAll() {
+        const all = [
+            trajectory, ...comparisonShots().map(s => s.trajectory), ...sweepTrajectories(),
+            ...dispersionTrajectories(), ...fitTrajectories()
+        ];
+        const extent = targetExtent();
+        const points = measured ? measured.points : [];
+        // Keep a moving launcher in view until the last shot lands (it stays put in its own frame)
+        const launcherEnd = (launcherVx - frameVelocity()) * animationEndTime();
+        const range = Math.max(...all.map(t => t.maxRange), extent.x, launcherEnd, ...points.map(pt => pt.x));
+        const ground = terrainOutline(0, range).map(pt => pt.y);
+        autoZoom(
+            Math.max(...all.map(t => t.maxAltitude), extent.y, ...ground, ...points.map(pt => pt.y)),
+            range,
+            Math.min(...ground)
+        );
+    }
 
-    if (launchBtn) launchBtn.addEventListener('click', launch);
-    if (resetBtn) resetBtn.addEventListener('click', reset);
-    if (pauseBtn) pauseBtn.addEventListener('click', togglePause);
-    if (stepBtn) stepBtn.addEventListener('click', stepForward);
+    // Fit All button: eases in during a run, jumps straight there otherwise
+    function fitView() {
+        zoom3d = 1;
+        fitAll();
+        if (!isAnimating || isPaused) {
+            pixelsPerMeter = targetScale;
+            originX = targetOriginX;
+            originY = targetOriginY;
+        }
+        redraw();
+    }
+
+    function zoomView(factor) {
+        if (is3D()) zoom3d = clampZoom3d(zoom3d * factor);
+        else zoomAt(canvas.width / 2, canvas.height / 2, factor);
+        redraw();
+    }
+
+    function setViewTool(tool) {
+        viewTool = tool;
+        [[panToolBtn, 'pan'], [rulerToolBtn, 'ruler'], [protractorToolBtn, 'protractor']].forEach(([btn, id]) => {
+            btn.classList.toggle('is-active', id === tool);
+            btn.setAttribute('aria-pressed', String(id === tool));
+        });
+        canvas.classList.toggle('is-measuring', tool !== 'pan');
+        measurement = null;
+        redraw();
+    }
+
+    // Pointer position in canvas pixels (the canvas is scaled by CSS)
+    function canvasPoint(e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * canvas.width / rect.width,
+            y: (e.clientY - rect.top) * canvas.height / rect.height
+        };
+    }
+
+    // World point under the pointer, snapped to a nearby trajectory sample
+    function snapToTrajectory(pt) {
+        let best = { x: toWorldX(pt.x), y: toWorldY(pt.y) };
+        let bestDist = 12; // px
+        [trajectory, ...comparisonShots().map(s => s.trajectory)].forEach(traj => {
+            traj.points.forEach(p => {
+                const sx = sampleScreenX(p.x, p.t);
+                const dist = Math.hypot(sx - pt.x, toScreenY(p.y) - pt.y);
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = { x: toWorldX(sx), y: p.y };
+                }
+            });
+        });
+        return best;
+    }
+
+    function onPointerDown(e) {
+        const pt = canvasPoint(e);
+        canvas.setPointerCapture(e.pointerId);
+        activePointers.set(e.pointerId, pt);
+
+        if (activePointers.size === 2) {
+            // Second finger: pinch zoom takes over from panning / measuring / scrubbing
+            const [p1, p2] = [...activePointers.values()];
+            pinchDistance = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+            inspectDragging = false;
+            cannonDrag = null;
+        } else if (is3D()) {
+            // Dragging turns the 3D view; the 2D tools and handles don't apply
+            canvas.classList.add('is-panning');
+        } else if (viewTool === 'pan' && cannonGripAt(pt)) {
+            cannonDrag = cannonGripAt(pt);
+            cannonPull = pt;
+        } else if (viewTool === 'pan' && nearestTrajectoryTime(pt, INSPECT_HOVER_PX) !== null) {
+            // Grabbing the trajectory scrubs along it instead of panning
+            inspectDragging = true;
+            inspectTime = nearestTrajectoryTime(pt, INSPECT_HOVER_PX);
+            redraw();
+        } else if (viewTool === 'pan') {
+            canvas.classList.add('is-panning');
+        } else {
+            const start = snapToTrajectory(pt);
+            measurement = { tool: viewTool, a: start, b: start };
+            redraw();
+        }
+    }
+
+    function onPointerMove(e) {
+        const prev = activePointers.get(e.pointerId);
+        const pt = canvasPoint(e);
+        if (!prev) {
+            if (is3D()) return;
+            // Hovering: pick up the trajectory when passing over it
+            canvas.classList.toggle('is-aiming', viewTool === 'pan' && cannonGripAt(pt) !== null);
+            if (viewTool !== 'pan') return;
+            const t = nearestTrajectoryTime(pt, INSPECT_HOVER_PX);
+            if (t !== null) {
+                inspectTime = t;
+                redraw();
+            }
+            return;
+        }
+        activePointers.set(e.pointerId, pt);
+
+        if (activePointers.size === 2) {
+            const [p1, p2] = [...activePointers.values()];
+            const dist = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+            if (pinchDistance > 0 && is3D()) zoom3d = clampZoom3d(zoom3d * dist / pinchDistance);
+            else if (pinchDistance > 0) zoomAt((p1.x + p2.x) / 2, (p1.y + p2.y) / 2, dist / pinchDistance);
+            pinchDistance = dist;
+        } else if (is3D()) {
+            orbitBy(pt.x - prev.x, pt.y - prev.y);
+        } else if (cannonDrag) {
+            dragCannon(pt);
+        } else if (inspectDragging) {
+            inspectTime = nearestTrajectoryTime(pt, Infinity);
+        } else if (viewTool === 'pan') {
+            panBy(pt.x - prev.x, pt.y - prev.y);
+        } else if (measurement) {
+            measurement.b = snapToTrajectory(pt);
+        }
+        redraw();
+    }
+
+    function onPointerUp(e) {
+        activePointers.delete(e.pointerId);
+        if (activePointers.size < 2) pinchDistance = 0;
+        if (activePointers.size === 0) {
+            canvas.classList.remove('is-panning');
+            inspectDragging = false;
+            if (cannonDrag) {
+                cannonDrag = null;
+                cannonPull = null;
+                redraw();
+            }
+        }
+    }
+
+    // --- Drag-to-Aim ---
+
+    // Which cannon handle (if any) is under a canvas position
+    // Grips whose controls are free to change (runs and worksheets lock them)
+    function cannonGrips() {
+        return ['aim', 'platform', 'pull'].filter(grip => {
+            if (grip === 'platform') return !heightNum.disabled;
+            if (grip === 'pull') return !angleNum.disabled && !velocityNum.disabled;
+            return !angleNum.disabled;
+        });
+    }
+
+    function cannonGripAt(pt) {
+        const handles = cannonHandles();
+        return cannonGrips().find(grip =>
+            Math.hypot(handles[grip].x - pt.x, handles[grip].y - pt.y) <= CANNON_GRIP_PX) || null;
+    }
+
+    function dragCannon(pt) {
+        const { pull } = cannonHandles();
+        if (cannonDrag === 'aim') {
+            setControl(angleNum, angleInput, Math.atan2(pull.y - pt.y, pt.x - pull.x) * 180 / Math.PI);
+        } else if (cannonDrag === 'pull') {
+            // Launch goes opposite to the pull, faster the further back
+            const dx = pull.x - pt.x;
+            const dy = pt.y - pull.y;
+            setControl(angleNum, angleInput, Math.atan2(dy, dx) * 180 / Math.PI);
+            setControl(velocityNum, velocityInput, Math.hypot(dx, dy) * PULL_SPEED_PER_PX);
+            cannonPull = pt;
+        } else {
+            setControl(heightNum, heightInput, toWorldY(pt.y) - groundHeight(terrain, 0));
+        }
+        updateSimulation();
+    }
+
+    // Set a number input and its slider from a dragged value, kept within the slider's range
+    function setControl(numEl, slider, val) {
+        val = clampInput(numEl, val);
+        val = Math.min(Math.max(val, parseFloat(slider.min)), parseFloat(slider.max));
+        numEl.value = val.toFixed(1);
+        slider.value = numEl.value;
+    }
+
+    function onWheel(e) {
+        e.preventDefault();
+        const pt = canvasPoint(e);
+        const factor = Math.exp(-e.deltaY * 0.0015);
+        if (is3D()) zoom3d = clampZoom3d(zoom3d * factor);
+        else zoomAt(pt.x, pt.y, factor);
+        redraw();
+    }
+
+    // --- Inspection ---
+
+    // Latest inspectable time: the drawn part of a run, or the whole prediction before launch.
+    // Null while the animation is playing or when no trajectory is on screen.
+    function inspectEndTime() {
+        if (isAnimating && !isPaused) return null;
+        if (path.length > 0) return Math.min(accumulatedTime, mainEndTime());
+        return showPredictionCheck.checked ? mainEndTime() : null;
+    }
+
+    // Time of the trajectory point closest to a canvas position, or null if none is within maxDist px
+    function nearestTrajectoryTime(pt, maxDist) {
+        const endTime = inspectEndTime();
+        if (endTime === null) return null;
+
+        const pts = trajectory.points;
+        let best = null;
+        let bestDist = maxDist;
+        for (let i = 1; i < pts.length && pts[i - 1].t < endTime; i++) {
+            const ax = sampleScreenX(pts[i - 1].x, pts[i - 1].t), ay = toScreenY(pts[i - 1].y);
+            const bx = sampleScreenX(pts[i].x, pts[i].t), by = toScreenY(pts[i].y);
+            const len2 = (bx - ax) ** 2 + (by - ay) ** 2;
+            const f = len2 > 0 ? Math.min(Math.max(((pt.x - ax) * (bx - ax) + (pt.y - ay) * (by - ay)) / len2, 0), 1) : 0;
+            const dist = Math.hypot(ax + f * (bx - ax) - pt.x, ay + f * (by - ay) - pt.y);
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = pts[i - 1].t + f * (pts[i].t - pts[i - 1].t);
+            }
+        }
+        return best === null ? null : Math.min(best, endTime);
+    }
+
+    function updateScrubber() {
+        if (!scrubTimeInput) return;
+        const endTime = inspectEndTime();
+        scrubTimeInput.disabled = endTime === null;
+        scrubTimeInput.max = endTime === null ? 1 : endTime;
+        if (inspectTime !== null) scrubTimeInput.value = inspectTime;
+        scrubReadout.textContent = inspectTime === null || endTime === null
+            ? "—"
+            : Math.min(inspectTime, endTime).toFixed(2) + " s";
+    }
+
+    function scrubTo() {
+        inspectTime = parseFloat(scrubTimeInput.value);
+        redraw();
+    }
+
+    // --- Presets & Sharing ---
+
+    function readSetup() {
+        return Object.fromEntries(Object.entries(SETUP_FIELDS).map(([key, el]) => {
+            if (el.type === 'checkbox') return [key, el.checked];
+            if (el.type === 'number') return [key, readNumber(el, parseFloat(el.defaultValue))];
+            return [key, el.value];
+        }));
+    }
+
+    // Fill the controls from a (possibly partial) setup; missing keys go back to the page defaults
+    function applySetup(setup) {
+        if (isAnimating || path.length > 0) reset();
+
+        const full = { ...setupDefaults, ...setup, ...lockedSetup() };
+        Object.entries(SETUP_FIELDS).forEach(([key, el]) => {
+            const value = full[key];
+            if (el.type === 'checkbox') {
+                if (el.checked !== value) {
+                    el.checked = value;
+                    el.dispatchEvent(new Event('change'));
+                }
+            } else if (el.type === 'number') {
+                const val = clampInput(el, value);
+                el.value = val;
+                syncSliderPartner(el, val);
+            } else if (el.tagName === 'SELECT') {
+                // Unknown options fall back to the default
+                el.value = value;
+                if (el.selectedIndex === -1) el.value = setupDefaults[key];
+            } else {
+                el.value = value;
+            }
+        });
+
+        updateSimulation();
+    }
+
+    // Mirror the setup into the address bar so it can be shared as a link
+    function updateShareUrl() {
+        if (!setupDefaults) return;
+        const hash = encodeSetup(readSetup(), setupDefaults);
+        history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+    }
+
+    function copyShareLink() {
+        updateShareUrl();
+        navigator.clipboard.writeText(location.href)
+            .then(() => { presetStatus.textContent = "Link copied to clipboard"; })
+            .catch(() => { presetStatus.textContent = "Copy the link from the address bar"; });
+    }
+
+    function renderPresetOptions(selected = '') {
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = presets.length ? "Saved…" : "No presets";
+        presetSelect.replaceChildren(placeholder, ...presets.map(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            return option;
+        }));
+        presetSelect.value = selected;
+        deletePresetBtn.disabled = selected === '';
+    }
+
+    function savePreset() {
+        const name = presetNameInput.value.trim();
+        if (!name) {
+            presetStatus.textContent = "Name the preset first";
+            presetNameInput.focus();
+            return;
+        }
+
+        presets = upsertPreset(presets, name, readSetup());
+        savePresets(localStorage, presets);
+        renderPresetOptions(name);
+        presetStatus.textContent = `Saved "${name}"`;
+    }
+
+    function selectPreset() {
+        const preset = presets.find(p => p.name === presetSelect.value);
+        deletePresetBtn.disabled = !preset;
+        if (!preset) return;
+
+        presetNameInput.value = preset.name;
+        applySetup(preset.setup);
+        presetStatus.textContent = `Loaded "${preset.name}"`;
+    }
+
+    function deletePreset() {
+        const name = presetSelect.value;
+        if (!name) return;
+
+        presets = presets.filter(preset => preset.name !== name);
+        savePresets(localStorage, presets);
+        renderPresetOptions();
+        presetStatus.textContent = `Deleted "${name}"`;
+    }
+
+    function exportPresets() {
+        downloadFile('projectile-presets.json', presetsToJSON(presets), 'application/json');
+    }
+
+    // Merge presets from a file; same-named presets are replaced
+    function importPresets() {
+        const file = importPresetsFile.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            const imported = parsePresetFile(text, setupDefaults);
+            imported.forEach(preset => { presets = upsertPreset(presets, preset.name, preset.setup); });
+            savePresets(localStorage, presets);
+            renderPresetOptions();
+            presetStatus.textContent = `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`;
+        }).catch(err => {
+            presetStatus.textContent = err.message;
+        }).finally(() => {
+            importPresetsFile.value = '';
+        });
+    }
+
+    // --- Export ---
+
+    // Draw the current moment into another context (a scaled canvas or an SVG figure)
+    function drawFigure(target) {
+        const screen = ctx;
+        ctx = target;
+        exporting = true;
+        try {
+            drawScene(path.length > 0 ? currentX : 0, path.length > 0 ? currentY : launchY);
+        } finally {
+            ctx = screen;
+            exporting = false;
+        }
+    }
+
+    function savePng() {
+        const scale = parseFloat(imageScaleSelect.value) || 2;
+        const image = document.createElement('canvas');
+        image.width = canvas.width * scale;
+        image.height = canvas.height * scale;
+        const imageCtx = image.getContext('2d');
+        imageCtx.scale(scale, scale);
+        drawFigure(imageCtx);
+
+        image.toBlob(blob => {
+            if (!blob) {
+                exportStatus.textContent = "The image is too large for this browser, try a smaller size";
+                return;
+            }
+            downloadFile('projectile-figure.png', blob, 'image/png');
+            exportStatus.textContent = `Saved a ${image.width} × ${image.height} PNG (${fileSize(blob.size)})`;
+        }, 'image/png');
+    }
+
+    function saveSvg() {
+        const measure = document.createElement('canvas').getContext('2d');
+        const figure = createSvgContext(canvas.width, canvas.height, (text, font) => {
+            measure.font = font;
+            return measure.measureText(text).width;
+        });
+        drawFigure(figure);
+        downloadFile('projectile-figure.svg', figure.toSVG(), 'image/svg+xml');
+        exportStatus.textContent = "Saved the figure as SVG";
+    }
+
+    function fileSize(bytes) {
+        return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    function canRecordWebm() {
+        return typeof MediaRecorder !== 'undefined' && typeof canvas.captureStream === 'function';
+    }
+
+    // Launch and save the flight as a clip once every projectile has landed
+    function recordLaunch() {
+        launch();
+
+        const format = recordFormatSelect.value;
+        if (format === 'webm') {
+            const type = ['video/webm;codecs=vp9', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+            const recorder = new MediaRecorder(canvas.captureStream(30), type ? { mimeType: type } : {});
+            const chunks = [];
+            const clip = { format, recorder, cancelled: false };
+            recorder.ondataavailable = e => { if (e.data.size > 0) chunks.push(e.data); };
+            recorder.onstop = () => {
+                if (clip.cancelled) return;
+                const blob = new Blob(chunks, { type: recorder.mimeType || 'video/webm' });
+                downloadFile('projectile-launch.webm', blob, blob.type);
+                exportStatus.textContent = `Saved the clip (${fileSize(blob.size)})`;
+            };
+            recorder.start();
+            recording = clip;
+        } else {
+            const scale = Math.min(1, GIF_MAX_WIDTH / canvas.width);
+            const frame = document.createElement('canvas');
+            frame.width = Math.round(canvas.width * scale);
+            frame.height = Math.round(canvas.height * scale);
+            const gif = createGifEncoder(frame.width, frame.height);
+            recording = { format, gif, frame, frameCtx: frame.getContext('2d'), pending: null, lastTime: 0 };
+        }
+
+        recordBtn.disabled = true;
+        recordFormatSelect.disabled = true;
+        exportStatus.textContent = "Recording… the clip is saved when the projectile lands";
+    }
+
+    // GIF: keep the frame just drawn, about every GIF_FRAME_MS of playback. Each frame is
+    // written once the next one is taken, since that is when its duration is known.
+    function captureClipFrame() {
+        if (!recording || recording.format !== 'gif') return;
+        const elapsed = (accumulatedTime - recording.lastTime) / parseFloat(playbackSpeedSelect.value) * 1000;
+        if (recording.pending && elapsed < GIF_FRAME_MS) return;
+
+        const { frame, frameCtx } = recording;
+        frameCtx.drawImage(canvas, 0, 0, frame.width, frame.height);
+        const pixels = frameCtx.getImageData(0, 0, frame.width, frame.height).data;
+        if (recording.pending) recording.gif.addFrame(recording.pending, elapsed);
+        recording.pending = pixels;
+        recording.lastTime = accumulatedTime;
+    }
+
+    function pauseRecording(paused) {
+        if (!recording || recording.format !== 'webm') return;
+        if (paused && recording.recorder.state === 'recording') recording.recorder.pause();
+        if (!paused && recording.recorder.state === 'paused') recording.recorder.resume();
+    }
+
+    function finishRecording() {
+        if (!recording) return;
+        const clip = recording;
+        recording = null;
+        recordBtn.disabled = false;
+        recordFormatSelect.disabled = false;
+
+        if (clip.format === 'webm') {
+            // Resume so the last frame is captured, and hold it before stopping
+            if (clip.recorder.state === 'paused') clip.recorder.resume();
+            exportStatus.textContent = "Saving the clip…";
+            setTimeout(() => clip.recorder.stop(), CLIP_HOLD_MS);
+            return;
+        }
+
+        const { frame, frameCtx } = clip;
+        frameCtx.drawImage(canvas, 0, 0, frame.width, frame.height);
+        const elapsed = (accumulatedTime - clip.lastTime) / parseFloat(playbackSpeedSelect.value) * 1000;
+        if (clip.pending) clip.gif.addFrame(clip.pending, elapsed);
+        clip.gif.addFrame(frameCtx.getImageData(0, 0, frame.width, frame.height).data, CLIP_HOLD_MS);
+
+        const bytes = clip.gif.finish();
+        downloadFile('projectile-launch.gif', bytes, 'image/gif');
+        exportStatus.textContent = `Saved a ${clip.gif.frames}-frame GIF (${fileSize(bytes.length)})`;
+    }
+
+    // Relaunching, replaying or resetting drops a clip in progress
+    function cancelRecording() {
+        if (!recording) return;
+        if (recording.format === 'webm') {
+            recording.cancelled = true;
+            recording.recorder.stop();
+        }
+        recording = null;
+        recordBtn.disabled = false;
+        recordFormatSelect.disabled = false;
+        exportStatus.textContent = "Recording cancelled";
+    }
+
+    // --- Keyboard, Narration & Sonification ---
+
+    // Read out through the live region; messages from the same moment go out together
+    function announce(message) {
+        pendingAnnouncements.push(message);
+        if (pendingAnnouncements.length > 1) return;
+        queueMicrotask(() => {
+            srAnnouncer.textContent = pendingAnnouncements.join(". ") + ".";
+            pendingAnnouncements = [];
+        });
+    }
+
+    // Text alternative for the canvas: the setup and what it is predicted to do
+    function describeScene() {
+        let setup = `Cannon aimed at ${angleDeg.toFixed(1)}° with a launch speed of ${v0.toFixed(1)} m/s`;
+        if (params.azimuth !== 0) setup += `, turned ${Math.abs(params.azimuth).toFixed(1)}° to the ${params.azimuth > 0 ? "right" : "left"}`;
+        if (h0 > 0) setup += `, ${h0.toFixed(1)} m above the ground`;
+        setup += `, gravity ${g.toFixed(2)} m/s²`;
+        if (dragModel !== 'none') setup += `, ${dragModel} air resistance`;
+        if (dragModel !== 'none' && params.spin.rate !== 0) {
+            setup += `, ${Math.abs(params.spin.rate).toFixed(0)} rpm of ${params.spin.rate > 0 ? "backspin" : "topspin"}`;
+        }
+
+        const parts = [
+            setup + ".",
+            `Predicted range ${maxRange.toFixed(2)} m, maximum height ${maxAltitude.toFixed(2)} m, ` +
+                `flight time ${totalFlightTime.toFixed(2)} s.`
+        ];
+        if (!trajectory.settled) parts.push("The projectile never comes to rest, so the run is cut off.");
+        if (is3D()) parts.push(view3dStatus.textContent);
+        if (dispersionIsCurrent() && dispersion.stats) {
+            const { n, mean, sd } = dispersion.stats;
+            parts.push(`Over ${n} perturbed launches the range is ${mean.toFixed(2)} ± ${sd.toFixed(2)} m.`);
+        }
+        if (challenge.target) {
+            const aim = aimPoint(challenge.target);
+            parts.push(`A ${challenge.target.type} target at x ${aim.x.toFixed(1)} m, y ${aim.y.toFixed(1)} m.`);
+        }
+        simDescription.textContent = parts.join(" ");
+    }
+
+    function describeMoment() {
+        const state = stateAt(trajectory, Math.min(accumulatedTime, mainEndTime()));
+        const z = is3D() ? `, z ${state.z.toFixed(1)} m` : "";
+        return `t ${state.t.toFixed(2)} s, x ${state.x.toFixed(1)} m, y ${state.y.toFixed(1)} m${z}, ` +
+            `speed ${Math.hypot(state.vx, state.vy, state.vz).toFixed(1)} m/s`;
+    }
+
+    // Apexes, impacts and coming to rest that the clock just moved past
+    function narrateEvents(from, to) {
+        const end = mainEndTime();
+        const passed = t => t > from && t <= to && t <= end;
+
+        trajectory.hops.forEach((hop, i) => {
+            if (hop.peak && passed(hop.peak.t)) {
+                const name = i === 0 ? "Apex" : `Bounce ${i} apex`;
+                announce(`${name} ${hop.peak.y.toFixed(1)} m at ${hop.peak.t.toFixed(2)} s`);
+            }
+            const impact = hop.t + hop.time;
+            if (passed(impact)) {
+                const name = i === 0 ? "Impact" : `Impact ${i + 1}`;
+                announce(`${name} at x ${stateAt(trajectory, impact).x.toFixed(1)} m after ${impact.toFixed(2)} s`);
+            }
+        });
+
+        if (trajectory.roll) {
+            const rest = trajectory.roll.t + trajectory.roll.time;
+            if (passed(rest)) announce(`At rest at x ${stateAt(trajectory, rest).x.toFixed(1)} m after ${rest.toFixed(2)} s`);
+        }
+    }
+
+    // Sine tone while the current shot is in the air, pitch rising with height
+    function updateTone() {
+        if (!isAnimating || isPaused || mainLanded || !sonifyCheck.checked) {
+            stopTone();
+            return;
+        }
+        if (!tone && !startTone()) return;
+
+        const f = Math.min(Math.max(currentY / Math.max(maxAltitude, 1e-6), 0), 1);
+        tone.osc.frequency.setTargetAtTime(SONIFY_LOW_HZ * Math.pow(4, f), audioCtx.currentTime, 0.02);
+    }
+
+    function startTone() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return false;
+        if (!audioCtx) audioCtx = new AudioContextClass();
+
+        const osc = audioCtx.createOscillator();
+        const gain = audioCtx.createGain();
+        osc.type = 'sine';
+        gain.gain.value = 0.08;
+        osc.connect(gain).connect(audioCtx.destination);
+        osc.start();
+        tone = { osc, gain };
+        return true;
+    }
+
+    function stopTone() {
+        if (!tone) return;
+        // Fade out instead of clicking off
+        tone.gain.gain.setTargetAtTime(0, audioCtx.currentTime, 0.02);
+        tone.osc.stop(audioCtx.currentTime + 0.1);
+        tone = null;
+    }
+
+    function adjustKeyboardParam(direction, big) {
+        const param = KEYBOARD_PARAMS[keyboardParam];
+        if (param.num.disabled) {
+            announce(`${param.label} is locked`);
+            return;
+        }
+        const current = readNumber(param.num, parseFloat(param.num.defaultValue));
+        setControl(param.num, param.slider, current + direction * param.step * (big ? 10 : 1));
+        updateSimulation();
+        announce(`${param.label} ${param.num.value}${param.unit}`);
+    }
+
+    function onKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        // Fields keep their own keys, and a focused button keeps Space / Enter
+        const focus = e.target instanceof Element ? e.target : null;
+        if (focus && focus.closest('input, select, textarea')) return;
+        if (focus && (e.key === ' ' || e.key === 'Enter') && focus.closest('button, summary')) return;
+
+        switch (e.key) {
+            case 'l':
+            case 'L':
+                launch();
+                break;
+            case ' ':
+                if (path.length === 0) launch();
+                else if (isAnimating) togglePause();
+                else replay();
+                break;
+            case 'ArrowRight':
+                stepForward();
+                break;
+            case 'ArrowLeft':
+                stepBackward();
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                adjustKeyboardParam(e.key === 'ArrowUp' ? 1 : -1, e.shiftKey);
+                break;
+            case '1':
+            case '2':
+            case '3':
+            case '4': {
+                keyboardParam = Number(e.key) - 1;
+                const param = KEYBOARD_PARAMS[keyboardParam];
+                announce(`${param.label} selected, ${param.num.value}${param.unit}`);
+                break;
+            }
+            case 'r':
+            case 'R':
+                reset();
+                break;
+            case 'f':
+            case 'F':
+                fitView();
+                break;
+            case 'd':
+            case 'D':
+                announce(path.length > 0 ? describeMoment() : simDescription.textContent);
+                break;
+            case '?':
+                shortcutHelp.open = !shortcutHelp.open;
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    // --- Parameter Sweep ---
+
+    function selectSweepParam() {
+        const [from, to, steps] = SWEEP_DEFAULTS[sweepParamSelect.value];
+        sweepFromNum.value = from;
+        sweepToNum.value = to;
+        sweepStepsNum.value = steps;
+        sweepFromUnit.textContent = SWEEP_PARAMS[sweepParamSelect.value].unit;
+        sweepToUnit.textContent = SWEEP_PARAMS[sweepParamSelect.value].unit;
+    }
+
+    // The setup apart from the swept input: a sweep only matches while this is unchanged
+    function sweepBaseKey(key) {
+        const { [key]: swept, ...rest } = params;
+        return JSON.stringify(rest);
+    }
+
+    function sweepIsCurrent() {
+        return sweep !== null && sweep.baseKey === sweepBaseKey(sweep.key);
+    }
+
+    function sweepTrajectories() {
+        if (!sweepIsCurrent() || !showSweepFamilyCheck.checked) return [];
+        return sweep.runs.map(run => run.trajectory);
+    }
+
+    function runSweep() {
+        calculateTrajectoryStats();
+
+        const key = sweepParamSelect.value;
+        const limits = SWEEP_PARAMS[key];
+        const clampLimit = (el, fallback) => Math.min(Math.max(readNumber(el, fallback), limits.min), limits.max);
+        const from = clampLimit(sweepFromNum, limits.min);
+        const to = clampLimit(sweepToNum, limits.max);
+        const steps = Math.round(Math.min(Math.max(readNumber(sweepStepsNum, 19), 2), MAX_SWEEP_STEPS));
+        sweepFromNum.value = from;
+        sweepToNum.value = to;
+        sweepStepsNum.value = steps;
+
+        try {
+            const result = sweepParameter(params, key, { from, to, steps });
+            const optimum = optimumAngle(params);
+            sweep = {
+                ...result,
+                baseKey: sweepBaseKey(key),
+                optimum,
+                optimumTrajectory: simulate({ ...params, angle: optimum.angle }),
+                // Envelope of launch angles at one speed (the safety parabola in a vacuum)
+                envelope: key === 'angle' ? trajectoryEnvelope(result.runs.map(run => run.trajectory)) : null
+            };
+        } catch (err) {
+            sweepStatus.textContent = err.message;
+            return;
+        }
+
+        const space = limits.unit === '°' ? '' : ' ';
+        sweepStatus.textContent = `${steps} runs of ${limits.label.toLowerCase()} from ${from}${space}${limits.unit} to ${to}${space}${limits.unit}`;
+        sweepPanel.hidden = false;
+        clearSweepBtn.disabled = false;
+        updateSweepPanel();
+        fitView();
+    }
+
+    function clearSweep() {
+        sweep = null;
+        sweepPanel.hidden = true;
+        clearSweepBtn.disabled = true;
+        sweepStatus.textContent = "";
+        redraw();
+    }
+
+    function updateSweepPanel() {
+        if (!sweep) return;
+
+        const { angle, range } = sweep.optimum;
+        const optimumText = document.createElement('strong');
+        optimumText.textContent = angle.toFixed(1) + "°";
+        sweepSummary.replaceChildren(
+            "Optimum angle ", optimumText, ` gives the longest range, ${range.toFixed(2)} m.`,
+            sweepIsCurrent() ? "" : " The setup has changed since this sweep; run it again to update it."
+        );
+
+        const { unit } = SWEEP_PARAMS[sweep.key];
+        const marker = sweep.key === 'angle' ? { value: angle, label: angle.toFixed(1) + "°" } : null;
+        SWEEP_GRAPHS.forEach(graph => drawSweepGraph(sweepContexts[graph.id], graph, sweep, {
+            unit,
+            marker,
+            current: params[sweep.key]
+        }));
+    }
+
+    // The swept family faintly, the best angle and (for angle sweeps) their envelope
+    function drawSweepFamily() {
+        const family = sweepTrajectories();
+        if (family.length === 0) return;
+
+        family.forEach(traj => strokeTrajectory(traj, "rgba(139, 92, 246, 0.3)", []));
+        strokeTrajectory(sweep.optimumTrajectory, "rgba(239, 68, 68, 0.8)", [6, 4]);
+
+        // The envelope has no time axis, so it is only drawn in the ground frame
+        if (!sweep.envelope || sweep.envelope.length < 2 || frameVelocity() !== 0) return;
+        ctx.save();
+        ctx.strokeStyle = "#ef4444";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        sweep.envelope.forEach((pt, i) => {
+            if (i === 0) ctx.moveTo(sampleScreenX(pt.x, 0), toScreenY(pt.y));
+            else ctx.lineTo(sampleScreenX(pt.x, 0), toScreenY(pt.y));
+        });
+        ctx.stroke();
+
+        const mid = sweep.envelope[Math.floor(sweep.envelope.length / 2)];
+        ctx.font = "bold 11px Inter";
+        ctx.fillStyle = "#ef4444";
+        ctx.textAlign = "left";
+        ctx.fillText("Envelope", sampleScreenX(mid.x, 0) + 6, toScreenY(mid.y) - 6);
+        ctx.restore();
+    }
+
+    // --- Launch Uncertainty ---
+
+    // The whole setup: the tolerances scatter the runs around it, so any change makes them stale
+    function dispersionBaseKey() {
+        return JSON.stringify(params);
+    }
+
+    function dispersionIsCurrent() {
+        return dispersion !== null && dispersion.baseKey === dispersionBaseKey();
+    }
+
+    function dispersionTrajectories() {
+        if (!dispersionIsCurrent() || !showDispersionBundleCheck.checked) return [];
+        return dispersion.runs.slice(0, DISPERSION_BUNDLE).map(run => run.trajectory);
+    }
+
+    // Simulates the perturbed runs a batch per tick, off the animation loop; running
+    // again or clearing drops a job that is still going
+    function runDispersion() {
+        calculateTrajectoryStats();
+
+        const clampTolerance = (el, fallback, max) => Math.min(Math.max(readNumber(el, fallback), 0), max);
+        const tolerances = {
+            v0: clampTolerance(dispV0Num, 2, 20),
+            angle: clampTolerance(dispAngleNum, 1, 20),
+            h0: clampTolerance(dispH0Num, 0, 50)
+        };
+        const count = Math.round(Math.min(Math.max(readNumber(dispRunsNum, 300), 10), MAX_DISPERSION_RUNS));
+        dispV0Num.value = tolerances.v0;
+        dispAngleNum.value = tolerances.angle;
+        dispH0Num.value = tolerances.h0;
+        dispRunsNum.value = count;
+
+        let launches;
+        try {
+            launches = perturbLaunches(params, tolerances, count);
+        } catch (err) {
+            dispersionStatus.textContent = err.message;
+            return;
+        }
+
+        const job = { baseKey: dispersionBaseKey(), params, tolerances, launches, runs: [], stats: null, histogram: null };
+        dispersion = job;
+        clearDispersionBtn.disabled = false;
+        updateDispersionPanel();
+
+        const next = () => {
+            if (dispersion !== job) return;
+            // Only the runs in the drawn bundle keep their points
+            const done = job.runs.length;
+            const drawn = Math.max(Math.min(DISPERSION_BUNDLE - done, DISPERSION_BATCH), 0);
+            job.runs.push(
+                ...simulateLaunches(job.params, launches.slice(done, done + drawn)),
+                ...simulateLaunches(job.params, launches.slice(done + drawn, done + DISPERSION_BATCH), { trajectories: false })
+            );
+            if (job.runs.length < launches.length) {
+                dispersionStatus.textContent = `Running ${job.runs.length} of ${launches.length}…`;
+                setTimeout(next, 0);
+                return;
+            }
+
+            const ranges = job.runs.map(run => run.maxRange);
+            job.stats = summarize(ranges);
+            job.histogram = histogram(ranges, HISTOGRAM_BINS);
+            dispersionStatus.textContent = `${count} runs with v₀ ± ${tolerances.v0} m/s, ` +
+                `angle ± ${tolerances.angle}°, height ± ${tolerances.h0} m`;
+            dispersionPanel.hidden = false;
+            updateDispersionPanel();
+            describeScene();
+            fitView();
+        };
+        next();
+    }
+
+    function clearDispersion() {
+        dispersion = null;
+        dispersionPanel.hidden = true;
+        clearDispersionBtn.disabled = true;
+        dispersionStatus.textContent = "";
+        updateDispersionPanel();
+        redraw();
+    }
+
+    // Mean ± σ in the stats HUD, and the summary and histogram under the canvas
+    function updateDispersionPanel() {
+        const stats = dispersion && dispersion.stats;
+        spreadCard.hidden = !stats;
+        if (!stats) return;
+
+        const { n, mean, sd, min, max } = stats;
+        const current = dispersionIsCurrent();
+        spreadStat.textContent = `${mean.toFixed(2)} ± ${sd.toFixed(2)} m`;
+        spreadSubStat.textContent = current ? `${n} runs` : "setup changed";
+
+        const spreadText = document.createElement('strong');
+        spreadText.textContent = `${mean.toFixed(2)} ± ${sd.toFixed(2)} m`;
+        dispersionSummary.replaceChildren(
+            "Landing range ", spreadText, ` (mean ± σ) over ${n} runs, from ${min.toFixed(2)} to ${max.toFixed(2)} m. ` +
+                `The standard error of the mean is ${(sd / Math.sqrt(n)).toFixed(3)} m.`,
+            current ? "" : " The setup has changed since these runs; run them again to update them."
+        );
+        drawHistogram(dispersionContext, dispersion.histogram, { mean, sd });
+    }
+
+    // The perturbed runs faintly, with mean ± σ of where they land marked on the ground
+    function drawDispersionBundle() {
+        const bundle = dispersionTrajectories();
+        bundle.forEach(traj => strokeTrajectory(traj, "rgba(14, 165, 233, 0.12)", []));
+
+        // Landing ranges are ground-frame distances
+        if (bundle.length === 0 || !dispersion.stats || frameVelocity() !== 0) return;
+        const { mean, sd } = dispersion.stats;
+        const y = toScreenY(groundHeight(terrain, mean)) + 8;
+        const x0 = sampleScreenX(mean - sd, 0);
+        const x1 = sampleScreenX(mean + sd, 0);
+        ctx.save();
+        ctx.strokeStyle = "#0369a1";
+        ctx.fillStyle = "#0369a1";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x0, y - 4);
+        ctx.lineTo(x0, y + 4);
+        ctx.moveTo(x0, y);
+        ctx.lineTo(x1, y);
+        ctx.moveTo(x1, y - 4);
+        ctx.lineTo(x1, y + 4);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(sampleScreenX(mean, 0), y, 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = "bold 11px Inter";
+        ctx.textAlign = "center";
+        ctx.fillText("mean ± σ", sampleScreenX(mean, 0), y + 16);
+        ctx.restore();
+    }
+
+    // --- Measured Data & Curve Fit ---
+
+    function importMeasured() {
+        const file = measuredFile.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            measured = { name: file.name, points: parseMeasurements(text) };
+            fit = null;
+            fitPanel.hidden = true;
+            fitBtn.disabled = false;
+            applyFitBtn.disabled = true;
+            clearMeasuredBtn.disabled = false;
+            measuredStatus.textContent = `${measured.points.length} points from ${file.name}`;
+            fitView();
+        }).catch(err => {
+            measuredStatus.textContent = err.message;
+        }).finally(() => {
+            measuredFile.value = '';
+        });
+    }
+
+    function clearMeasured() {
+        measured = null;
+        fit = null;
+        fitPanel.hidden = true;
+        fitBtn.disabled = true;
+        applyFitBtn.disabled = true;
+        clearMeasuredBtn.disabled = true;
+        measuredStatus.textContent = "";
+        redraw();
+    }
+
+    function fitKeys() {
+        const keys = ['v0', 'angle'];
+        if (fitGravityCheck.checked) keys.push('g');
+        if (fitDragCheck.checked) keys.push('cd');
+        return keys;
+    }
+
+    // The setup apart from the fitted inputs: a fit only matches while this is unchanged
+    function fitBaseKey(keys) {
+        return JSON.stringify(keys.reduce((p, key) => FIT_PARAMS[key].set(p, null), params));
+    }
+
+    function fitIsCurrent() {
+        return fit !== null && fit.baseKey === fitBaseKey(fit.keys);
+    }
+
+    function fitTrajectories() {
+        return fitIsCurrent() ? [fit.trajectory] : [];
+    }
+
+    function runFit() {
+        if (!measured) return;
+        calculateTrajectoryStats();
+
+        const keys = fitKeys();
+        try {
+            fit = { ...fitLaunch(params, measured.points, keys), baseKey: fitBaseKey(keys) };
+        } catch (err) {
+            measuredStatus.textContent = err.message;
+            return;
+        }
+
+        const names = keys.map(key => FIT_PARAMS[key].label).join(", ");
+        measuredStatus.textContent = fit.converged
+            ? `Fitted ${names} to ${measured.points.length} points`
+            : `The fit of ${names} did not settle in ${fit.iterations} steps; check the data and the setup`;
+        fitPanel.hidden = false;
+        applyFitBtn.disabled = false;
+        updateFitPanel();
+        fitView();
+    }
+
+    // Put the fitted values on the controls, rounded like typed values
+    function applyFit() {
+        if (!fitIsCurrent()) return;
+        const controls = { v0: velocityNum, angle: angleNum, g: gravityNum, cd: dragCdNum };
+        const locked = fit.keys.filter(key => controls[key].disabled);
+        if (locked.length > 0) {
+            measuredStatus.textContent = path.length > 0
+                ? "Reset before applying the fit"
+                : `This worksheet step locks ${locked.map(key => FIT_PARAMS[key].label).join(", ")}`;
+            return;
+        }
+
+        const { values } = fit;
+        setControl(velocityNum, velocityInput, values.v0);
+        setControl(angleNum, angleInput, values.angle);
+        if ('g' in values) setControl(gravityNum, gravityInput, values.g);
+        if ('cd' in values) dragCdNum.value = clampInput(dragCdNum, values.cd).toFixed(2);
+        updateSimulation();
+        measuredStatus.textContent = "Applied the fitted values";
+    }
+
+    function updateFitPanel() {
+        if (!fit) return;
+
+        const parts = ["Best fit: "];
+        fit.keys.forEach((key, i) => {
+            const { label, unit } = FIT_PARAMS[key];
+            const digits = key === 'cd' ? 3 : 2;
+            const space = unit === '°' || unit === '' ? '' : ' ';
+            const error = fit.errors[key];
+            const value = document.createElement('strong');
+            value.textContent = fit.values[key].toFixed(digits) +
+                (Number.isFinite(error) ? ` ± ${error.toFixed(digits)}` : '') + space + unit;
+            parts.push(i === 0 ? `${label} ` : `, ${label} `, value);
+        });
+
+        const rms = fit.rms < 1 ? `${(fit.rms * 100).toFixed(1)} cm` : `${fit.rms.toFixed(2)} m`;
+        parts.push(`. RMS residual ${rms} over ${fit.residuals.length} points, R² = ${fit.rSquared.toFixed(4)}.`);
+        if (!fitIsCurrent()) parts.push(" The setup has changed since this fit; fit again to update it.");
+        fitSummary.replaceChildren(...parts);
+        applyFitBtn.disabled = !fitIsCurrent();
+
+        drawResidualGraph(fitContext, fit.residuals);
+    }
+
+    // Measured points, and the fitted path through them while it matches the setup
+    function drawMeasured() {
+        if (!measured) return;
+        fitTrajectories().forEach(traj => strokeTrajectory(traj, "#7c3aed", [2, 3]));
+
+        ctx.save();
+        ctx.strokeStyle = "#b45309";
+        ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+        ctx.lineWidth = 1.5;
+        measured.points.forEach(pt => {
+            ctx.beginPath();
+            ctx.arc(sampleScreenX(pt.x, pt.t), toScreenY(pt.y), 3.5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    // --- 3D Mode ---
+
+    // Sideways launches count and the canvas shows the 3D view
+    function is3D() {
+        return view3dSelect.value !== 'off';
+    }
+
+    // Off <-> 3D changes the physics; between the 3D views only the camera moves
+    function selectView3d() {
+        updateSimulation();
+        redraw();
+    }
+
+    function clampZoom3d(zoom) {
+        return Math.min(Math.max(zoom, 0.2), 20);
+    }
+
+    // Dragging turns the orbit view, starting from the fixed view if one is showing
+    function orbitBy(dx, dy) {
+        if (view3dSelect.value !== 'orbit') {
+            orbit = { ...VIEW_ANGLES[view3dSelect.value] };
+            view3dSelect.value = 'orbit';
+            updateShareUrl();
+        }
+        orbit.yaw -= dx * ORBIT_DEG_PER_PX;
+        orbit.pitch = Math.min(Math.max(orbit.pitch + dy * ORBIT_DEG_PER_PX, 0), 90);
+    }
+
+    // Keep where the current launch came to rest (not when a target stopped it mid-air)
+    function recordLanding() {
+        if (!is3D() || landingRecorded || mainEndTime() < totalFlightTime) return;
+        const rest = trajectory.points[trajectory.points.length - 1];
+        landings = [...landings, { x: rest.x, y: rest.y, z: rest.z }].slice(-LANDING_LIMIT);
+        landingRecorded = true;
+        clearLandingsBtn.disabled = false;
+        updateView3dStatus();
+    }
+
+    function clearLandings() {
+        landings = [];
+        clearLandingsBtn.disabled = true;
+        updateView3dStatus();
+        redraw();
+    }
+
+    function updateView3dStatus() {
+        if (!view3dStatus) return;
+        if (!is3D()) {
+            view3dStatus.textContent = "";
+            return;
+        }
+
+        const { maxRange: x, lateral: z } = trajectory;
+        const side = Math.abs(z) < 0.005 ? "straight downrange" : `${Math.abs(z).toFixed(2)} m to the ${z > 0 ? "right" : "left"}`;
+        let text = `Lands ${x.toFixed(2)} m downrange, ${side} (${Math.hypot(x, z).toFixed(2)} m from the launcher).`;
+        if (landings.length > 0) text += ` ${landings.length} landing spot${landings.length === 1 ? '' : 's'} marked.`;
+        view3dStatus.textContent = text;
+    }
+
+    // Box around the runs and landing spots, with a patch of ground under them
+    // wide enough to read as a plane even when everything flies straight downrange
+    function sceneBox3d() {
+        const runs = [trajectory, ...comparisonShots().map(s => s.trajectory), ...sweepTrajectories(), ...dispersionTrajectories()];
+        let xMin = 0, xMax = 0, zMin = 0, zMax = 0, yMax = launchY;
+        const grow = pt => {
+            xMin = Math.min(xMin, pt.x);
+            xMax = Math.max(xMax, pt.x);
+            zMin = Math.min(zMin, pt.z);
+            zMax = Math.max(zMax, pt.z);
+            yMax = Math.max(yMax, pt.y);
+        };
+        runs.forEach(traj => traj.points.forEach(grow));
+        landings.forEach(grow);
+
+        const pad = Math.max(xMax - xMin, zMax - zMin, 20) * 0.05;
+        const x0 = xMin - pad;
+        const x1 = xMax + pad;
+        const halfWidth = (x1 - x0) * 0.15;
+        const ground = terrainOutline(x0, x1);
+        return {
+            x0,
+            x1,
+            z0: Math.min(zMin - pad, -halfWidth),
+            z1: Math.max(zMax + pad, halfWidth),
+            y0: Math.min(0, ...ground.map(pt => pt.y)),
+            y1: Math.max(yMax, ...ground.map(pt => pt.y)),
+            ground
+        };
+    }
+
+    // Camera for the selected view, scaled so the whole box fits on the canvas
+    function view3d(box) {
+        const camera = createCamera(view3dSelect.value === 'orbit' ? orbit : VIEW_ANGLES[view3dSelect.value]);
+        const corners = [];
+        [box.x0, box.x1].forEach(x => [box.y0, box.y1].forEach(y => [box.z0, box.z1].forEach(z => corners.push({ x, y, z }))));
+        const bounds = projectedBounds(camera, corners);
+        const scale = zoom3d * Math.min(
+            (canvas.width - 120) / Math.max(bounds.maxU - bounds.minU, 1e-6),
+            (canvas.height - 120) / Math.max(bounds.maxV - bounds.minV, 1e-6)
+        );
+        return { camera, scale, midU: (bounds.minU + bounds.maxU) / 2, midV: (bounds.minV + bounds.maxV) / 2 };
+    }
+
+    function toScreen3d(view, pt) {
+        const { u, v } = projectPoint(view.camera, pt);
+        return {
+            x: canvas.width / 2 + (u - view.midU) * view.scale,
+            y: canvas.height / 2 - (v - view.midV) * view.scale
+        };
+    }
+
+    // States every 0.1 s from launch to tEnd (impact by default)
+    function samples3d(traj, tEnd = traj.totalFlightTime) {
+        const pts = [];
+        for (let t = 0; ; t += 0.1) {
+            pts.push(stateAt(traj, Math.min(t, tEnd)));
+            if (t >= tEnd) break;
+        }
+        return pts;
+    }
+
+    function strokePath3d(view, pts, color, dash, width = 2) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        pts.forEach((pt, i) => {
+            const { x, y } = toScreen3d(view, pt);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // The same points dropped straight down onto the ground
+    function shadowOf(pts) {
+        return pts.map(pt => ({ ...pt, y: groundHeight(terrain, pt.x) }));
+    }
+
+    // Ground patch following the terrain (which only varies downrange), with a grid and labels in metres
+    function drawGround3d(view, box) {
+        const at = pt => toScreen3d(view, pt);
+        const { ground, z0, z1 } = box;
+
+        // One path for the whole surface, so overlapping strips are not shaded twice
+        ctx.save();
+        ctx.beginPath();
+        for (let i = 1; i < ground.length; i++) {
+            const a = ground[i - 1];
+            const b = ground[i];
+            [at({ ...a, z: z0 }), at({ ...b, z: z0 }), at({ ...b, z: z1 }), at({ ...a, z: z1 })].forEach((p, j) => {
+                if (j === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.closePath();
+        }
+        ctx.fillStyle = environment.ground;
+        ctx.globalAlpha = 0.45;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        const step = roundStep(Math.max(box.x1 - box.x0, z1 - z0) / 12);
+        const decimals = step < 1 ? Math.ceil(-Math.log10(step)) : 0;
+        ctx.strokeStyle = "rgba(71, 85, 105, 0.25)";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = Math.ceil(box.x0 / step) * step; x <= box.x1; x += step) {
+            const y = groundHeight(terrain, x);
+            const a = at({ x, y, z: z0 });
+            const b = at({ x, y, z: z1 });
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+        }
+        for (let z = Math.ceil(z0 / step) * step; z <= z1; z += step) {
+            ground.forEach((pt, i) => {
+                const p = at({ ...pt, z });
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+        }
+        ctx.stroke();
+
+        // The vertical plane of a 2D launch
+        strokePath3d(view, ground.map(pt => ({ ...pt, z: 0 })), "rgba(71, 85, 105, 0.6)", [], 1.5);
+
+        // Distances along x and z, skipping labels that would overlap in this view
+        ctx.fillStyle = "#64748b";
+        ctx.font = "11px Inter";
+        ctx.textAlign = "center";
+        let last = null;
+        const label = (pt, text) => {
+            const p = at(pt);
+            if (last && Math.hypot(p.x - last.x, p.y - last.y) < 36) return;
+            ctx.fillText(text, p.x, p.y + 14);
+            last = p;
+        };
+        for (let x = Math.ceil(box.x0 / step) * step; x <= box.x1; x += step) {
+            label({ x, y: groundHeight(terrain, x), z: z1 }, x.toFixed(decimals));
+        }
+        last = null;
+        for (let z = Math.ceil(z0 / step) * step; z <= z1; z += step) {
+            label({ x: box.x0, y: groundHeight(terrain, box.x0), z }, z.toFixed(decimals));
+        }
+        ctx.restore();
+    }
+
+    // x, y and z axes from the foot of the launcher
+    function drawAxes3d(view, box) {
+        const length = roundStep((box.x1 - box.x0) * 0.12);
+        const origin = { x: 0, y: groundHeight(terrain, 0), z: 0 };
+        const from = toScreen3d(view, origin);
+
+        [["x", { x: length, y: 0, z: 0 }], ["y", { x: 0, y: length, z: 0 }], ["z", { x: 0, y: 0, z: length }]].forEach(([axis, d]) => {
+            const to = toScreen3d(view, { x: origin.x + d.x, y: origin.y + d.y, z: origin.z + d.z });
+            drawArrow(from.x, from.y, to.x - from.x, to.y - from.y, AXIS_COLORS[axis]);
+
+            // Label just past the tip (nothing when the axis points at the viewer)
+            const len = Math.hypot(to.x - from.x, to.y - from.y);
+            if (len < 12) return;
+            ctx.fillStyle = AXIS_COLORS[axis];
+            ctx.font = "bold 12px Inter";
+            ctx.textAlign = "center";
+            ctx.fillText(axis, to.x + (to.x - from.x) / len * 12, to.y + (to.y - from.y) / len * 12 + 4);
+        });
+    }
+
+    function drawLauncher3d(view) {
+        const pivot = { x: launcherVx * accumulatedTime, y: launchY, z: 0 };
+        const at = pt => toScreen3d(view, pt);
+        const p = at(pivot);
+
+        ctx.save();
+        if (h0 > 0) {
+            const base = at({ ...pivot, y: launchY - h0 });
+            ctx.strokeStyle = "#475569";
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(base.x, base.y);
+            ctx.lineTo(p.x, p.y);
+            ctx.stroke();
+        }
+
+        // Barrel along the launch direction, a fixed 30 px long when seen side on
+        const length = 30 / view.scale;
+        const azimuthRad = params.azimuth * Math.PI / 180;
+        const tip = at({
+            x: pivot.x + length * Math.cos(angleRad) * Math.cos(azimuthRad),
+            y: pivot.y + length * Math.sin(angleRad),
+            z: pivot.z + length * Math.cos(angleRad) * Math.sin(azimuthRad)
+        });
+        ctx.strokeStyle = "#334155";
+        ctx.lineWidth = 7;
+        ctx.lineCap = "round";
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(tip.x, tip.y);
+        ctx.stroke();
+
+        ctx.fillStyle = "#1e293b";
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // Where earlier 3D launches came to rest, the newest one outlined
+    function drawLandings3d(view) {
+        ctx.save();
+        landings.forEach((spot, i) => {
+            const p = toScreen3d(view, spot);
+            ctx.fillStyle = "rgba(239, 68, 68, 0.7)";
+            ctx.strokeStyle = i === landings.length - 1 ? "#7f1d1d" : "#ffffff";
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    // Velocity with its x, y and z components, and the net acceleration, at a state
+    function drawVectors3d(view, state) {
+        const from = toScreen3d(view, state);
+        const arrow = (vec, pxPerUnit, color) => {
+            const k = pxPerUnit / view.scale;
+            const to = toScreen3d(view, { x: state.x + vec.x * k, y: state.y + vec.y * k, z: state.z + vec.z * k });
+            drawArrow(from.x, from.y, to.x - from.x, to.y - from.y, color);
+        };
+
+        arrow({ x: state.vx, y: 0, z: 0 }, 3, AXIS_COLORS.x);
+        arrow({ x: 0, y: state.vy, z: 0 }, 3, AXIS_COLORS.y);
+        arrow({ x: 0, y: 0, z: state.vz }, 3, AXIS_COLORS.z);
+        arrow({ x: state.vx, y: state.vy, z: state.vz }, 3, "#22c55e");
+
+        const accel = accelerationAt(params, state);
+        arrow({ x: accel.ax, y: accel.ay, z: accel.az }, 20, "#f97316");
+    }
+
+    function drawScene3D() {
+        const box = sceneBox3d();
+        const view = view3d(box);
+        const launched = isAnimating || path.length > 0;
+        const tMain = launched ? Math.min(accumulatedTime, mainEndTime()) : 0;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = environment.sky;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        drawGround3d(view, box);
+        drawAxes3d(view, box);
+        drawLandings3d(view);
+
+        // Predictions and the sweep family, with the shadow of the current setup's flight
+        if (dragModel !== 'none' && showGhostCheck.checked) {
+            strokePath3d(view, samples3d(vacuumTrajectory), "rgba(148, 163, 184, 0.35)", [2, 6]);
+        }
+        if (showPredictionCheck.checked) strokePath3d(view, samples3d(trajectory), "rgba(100, 116, 139, 0.4)", [8, 8]);
+        const family = sweepTrajectories();
+        family.forEach(traj => strokePath3d(view, samples3d(traj), "rgba(139, 92, 246, 0.3)", []));
+        if (family.length > 0) strokePath3d(view, samples3d(sweep.optimumTrajectory), "rgba(239, 68, 68, 0.8)", [6, 4]);
+        dispersionTrajectories().forEach(traj => strokePath3d(view, samples3d(traj), "rgba(14, 165, 233, 0.12)", []));
+        if (launched || showPredictionCheck.checked) {
+            strokePath3d(view, shadowOf(samples3d(trajectory, launched ? tMain : totalFlightTime)), "rgba(15, 23, 42, 0.2)", []);
+        }
+
+        // Saved shots: full preview before launch, live path + ball once launched
+        comparisonShots().forEach(shot => {
+            const traj = shot.trajectory;
+            const t = launched ? Math.min(accumulatedTime, traj.totalFlightTime) : traj.totalFlightTime;
+            ctx.save();
+            if (!launched) ctx.globalAlpha = 0.5;
+            strokePath3d(view, samples3d(traj, t), shot.color, launched ? [5, 5] : [8, 8]);
+            ctx.restore();
+            if (launched) {
+                const p = toScreen3d(view, stateAt(traj, t));
+                drawBall(p.x, p.y, shot.color, shot.color);
+            }
+        });
+
+        if (launched) strokePath3d(view, samples3d(trajectory, tMain), "#0284c7", [5, 5], 3);
+        drawLauncher3d(view);
+
+        // Projectile, with a drop line to its shadow for depth
+        const state = stateAt(trajectory, tMain);
+        const ball = toScreen3d(view, state);
+        const below = toScreen3d(view, { ...state, y: groundHeight(terrain, state.x) });
+        ctx.save();
+        ctx.strokeStyle = "rgba(15, 23, 42, 0.35)";
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(ball.x, ball.y);
+        ctx.lineTo(below.x, below.y);
+        ctx.stroke();
+        ctx.restore();
+        drawBall(ball.x, ball.y, "#0ea5e9", "#0369a1");
+        if (showVectorsCheck.checked) drawVectors3d(view, state);
+
+        // Inspected moment from the scrubber
+        const endTime = inspectEndTime();
+        if (inspectTime !== null && endTime !== null) {
+            const s = stateAt(trajectory, Math.min(inspectTime, endTime));
+            const p = toScreen3d(view, s);
+            ctx.save();
+            ctx.strokeStyle = "#0f172a";
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillStyle = "#0f172a";
+            ctx.font = "12px Inter";
+            ctx.textAlign = "left";
+            ctx.fillText(`t ${s.t.toFixed(2)} s  (${s.x.toFixed(1)}, ${s.y.toFixed(1)}, ${s.z.toFixed(1)}) m`, p.x + 12, p.y - 10);
+            ctx.restore();
+            if (showVectorsCheck.checked) drawVectors3d(view, s);
+        }
+
+        ctx.save();
+        ctx.fillStyle = "#334155";
+        ctx.font = "bold 12px Inter";
+        ctx.textAlign = "left";
+        ctx.fillText({
+            orbit: "Orbit view · drag to turn, scroll to zoom",
+            top: "Top-down view (x–z) · drag to orbit",
+            side: "Side view (x–y) · drag to orbit"
+        }[view3dSelect.value], 16, 24);
+        ctx.restore();
+    }
+
+    // --- Lab Worksheet ---
+
+    function loadWorksheet() {
+        const file = worksheetFile.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            worksheet = parseWorksheet(text, setupDefaults);
+            worksheetProgress = loadProgress(localStorage, worksheet);
+            worksheetPanel.hidden = false;
+            enterWorksheetStep(worksheetProgress.step);
+            worksheetStatus.textContent = `Loaded "${worksheet.title}"`;
+        }).catch(err => {
+            worksheetStatus.textContent = err.message;
+        }).finally(() => {
+            worksheetFile.value = '';
+        });
+    }
+
+    function closeWorksheet() {
+        worksheet = null;
+        worksheetProgress = null;
+        worksheetPanel.hidden = true;
+        worksheetStatus.textContent = "Progress is kept; load the file again to continue";
+        toggleInputs(path.length > 0);
+        redraw();
+    }
+
+    function currentWorksheetStep() {
+        return worksheet.steps[worksheetProgress.step];
+    }
+
+    // Preset the step's setup (locked values included) and start it from the launch pad
+    function enterWorksheetStep(index) {
+        worksheetProgress = { ...worksheetProgress, step: index };
+        saveProgress(localStorage, worksheet, worksheetProgress);
+        applySetup(currentWorksheetStep().setup);
+        toggleInputs(false);
+        redraw();
+        renderWorksheet();
+    }
+
+    // Setup values the current step holds fixed; unset ones stay at the page default
+    function lockedSetup() {
+        if (!worksheet) return {};
+        const step = currentWorksheetStep();
+        return Object.fromEntries(step.locked.map(key => [key, key in step.setup ? step.setup[key] : setupDefaults[key]]));
+    }
+
+    function lockedControls() {
+        if (!worksheet) return [];
+        const keys = currentWorksheetStep().locked;
+        const sliders = { angle: angleInput, v0: velocityInput, g: gravityInput, h0: heightInput };
+        const controls = keys.flatMap(key => [SETUP_FIELDS[key], sliders[key]]);
+        // Picking an environment sets g, so the two are locked together
+        if (keys.includes('g') || keys.includes('env')) controls.push(environmentSelect, gravityNum, gravityInput);
+        // Picking a ball sets its drag and a shot, so it is locked with any of those
+        if (['ball', 'mass', 'cd', 'area', 'drag', 'v0', 'angle', 'spin'].some(key => keys.includes(key))) controls.push(ballSelect);
+        return controls.filter(Boolean);
+    }
+
+    // Prediction questions close for good once the step is launched
+    function markWorksheetLaunched() {
+        if (!worksheet || worksheetProgress.launched.includes(worksheetProgress.step)) return;
+        worksheetProgress = { ...worksheetProgress, launched: [...worksheetProgress.launched, worksheetProgress.step] };
+        saveProgress(localStorage, worksheet, worksheetProgress);
+        renderWorksheet();
+    }
+
+    function renderWorksheet() {
+        const index = worksheetProgress.step;
+        const step = currentWorksheetStep();
+        const score = worksheetScore(worksheet, worksheetProgress);
+
+        worksheetTitle.textContent = worksheet.title;
+        worksheetStep.textContent = `Step ${index + 1} of ${worksheet.steps.length}`;
+        worksheetScoreLabel.textContent = `${score.correct} / ${score.total} correct`;
+        worksheetStepTitle.textContent = step.title;
+        worksheetInstructions.textContent = step.instructions;
+        worksheetInstructions.hidden = step.instructions === '';
+        worksheetPrevBtn.disabled = index === 0;
+        worksheetNextBtn.disabled = index === worksheet.steps.length - 1;
+
+        worksheetQuestions.replaceChildren(...step.questions.map(question => {
+            const { label, unit } = WORKSHEET_QUANTITIES[question.quantity];
+            const answer = worksheetProgress.answers[question.id];
+            const open = isQuestionOpen(question, index, worksheetProgress);
+
+            const box = document.createElement('div');
+            box.className = 'worksheet-question';
+
+            const prompt = document.createElement('div');
+            prompt.textContent = question.prompt;
+            if (question.predict) {
+                const tag = document.createElement('span');
+                tag.className = 'worksheet-tag';
+                tag.textContent = "Before launch";
+                prompt.append(tag);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'preset-row';
+            const group = document.createElement('span');
+            group.className = 'input-group';
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'number-input';
+            input.step = 'any';
+            input.setAttribute('aria-label', label);
+            input.value = answer ? answer.value : '';
+            input.disabled = !open;
+            const unitLabel = document.createElement('span');
+            unitLabel.className = 'unit';
+            unitLabel.textContent = unit;
+            group.append(input, unitLabel);
+
+            const checkBtn = document.createElement('button');
+            checkBtn.className = 'btn btn-secondary btn-small';
+            checkBtn.textContent = "Check";
+            checkBtn.disabled = !open;
+            checkBtn.addEventListener('click', () => checkWorksheetAnswer(question, input));
+            input.addEventListener('keydown', e => { if (e.key === 'Enter') checkWorksheetAnswer(question, input); });
+            row.append(group, checkBtn);
+
+            const feedback = document.createElement('div');
+            feedback.className = 'worksheet-feedback';
+            if (answer) {
+                feedback.classList.add(answer.correct ? 'is-correct' : 'is-incorrect');
+                feedback.textContent = answer.correct
+                    ? `Correct: the simulation gives ${answer.expected.toFixed(2)} ${unit}`
+                    : `Off by ${(Math.abs(answer.error) * 100).toFixed(1)}%` +
+                        (question.predict ? `; the simulation gives ${answer.expected.toFixed(2)} ${unit}` : '; try again');
+            } else if (!open) {
+                feedback.textContent = "Launched before an answer was given";
+            }
+
+            box.append(prompt, row, feedback);
+            return box;
+        }));
+    }
+
+    // Checked against the setup currently on the controls
+    function checkWorksheetAnswer(question, input) {
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value)) {
+            worksheetStatus.textContent = "Enter a number first";
+            input.focus();
+            return;
+        }
+        if (!isQuestionOpen(question, worksheetProgress.step, worksheetProgress)) return;
+
+        calculateValues();
+        const result = checkAnswer(question, value, questionStats(question, params));
+        worksheetProgress = recordAnswer(worksheetProgress, question, result);
+        saveProgress(localStorage, worksheet, worksheetProgress);
+        worksheetStatus.textContent = "";
+        renderWorksheet();
+    }
+
+    function exportWorksheetReport() {
+        const name = worksheet.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'worksheet';
+        downloadFile(name + '-report.txt', worksheetReport(worksheet, worksheetProgress), 'text/plain');
+    }
+
+    // Listeners
+    const inputs = [
+        angleInput, angleNum,
+        velocityInput, velocityNum,
+        gravityInput, gravityNum,
+        heightInput, heightNum
+    ];
+
+    inputs.forEach(el => {
+        if (el) {
+            el.addEventListener('input', handleInput);
+            el.addEventListener('change', validateInput); // Validate on final commit
+        }
+    });
+
+    // Air Resistance inputs have no slider partner
+    const dragInputs = [dragModelSelect, massNum, dragCdNum, dragAreaNum, airDensityNum];
+    dragInputs.forEach(el => {
+        if (el) {
+            el.addEventListener('input', updateSimulation);
+            if (el !== dragModelSelect) el.addEventListener('change', validateInput);
+        }
+    });
+
+    // Spin inputs (no slider partner); the ball picker fills in the drag controls
+    const spinInputs = [spinRateNum, spinTiltNum];
+    spinInputs.forEach(el => {
+        if (el) {
+            el.addEventListener('input', updateSimulation);
+            el.addEventListener('change', validateInput);
+        }
+    });
+    if (ballSelect) ballSelect.addEventListener('change', applyBall);
+
+    // Wind & force field inputs (no slider partner)
+    const fieldInputs = [windXNum, windYNum, fieldAxNum, fieldAyNum];
+    fieldInputs.forEach(el => {
+        if (el) {
+            el.addEventListener('input', updateSimulation);
+            el.addEventListener('change', validateInput);
+        }
+    });
+
+    // Bouncing inputs (no slider partner)
+    const bounceInputs = [bounceModeSelect, restitutionNum, frictionNum];
+    bounceInputs.forEach(el => {
+        if (el) {
+            el.addEventListener('input', updateSimulation);
+            if (el !== bounceModeSelect) el.addEventListener('change', validateInput);
+        }
+    });
+
+    // Terrain inputs: the select also switches which fields are shown
+    const terrainInputs = [terrainTypeSelect, inclineAngleNum, stepXNum, stepHeightNum, terrainProfileInput];
+    terrainInputs.forEach(el => {
+        if (el) {
+            el.addEventListener('input', updateSimulation);
+            if (el === inclineAngleNum || el === stepXNum) el.addEventListener('change', validateInput);
+        }
+    });
+
+    if (showPredictionCheck) showPredictionCheck.addEventListener('change', redraw);
+    if (showVectorsCheck) showVectorsCheck.addEventListener('change', redraw);
+    if (showGhostCheck) showGhostCheck.addEventListener('change', redraw);
+
+    if (environmentSelect) environmentSelect.addEventListener('change', applyEnvironment);
+
+    // Moving launcher: the speed is a launch input, the frame only changes the view (also mid-run)
+    if (launcherSpeedNum) {
+        launcherSpeedNum.addEventListener('input', updateSimulation);
+        launcherSpeedNum.addEventListener('change', validateInput);
+    }
+    // 3D mode: the aim and the crosswind are launch inputs; the select also switches the canvas view
+    const view3dInputs = [azimuthNum, crosswindNum];
+    view3dInputs.forEach(el => {
+        if (el) {
+            el.addEventListener('input', updateSimulation);
+            el.addEventListener('change', validateInput);
+        }
+    });
+    if (view3dSelect) view3dSelect.addEventListener('change', selectView3d);
+    if (clearLandingsBtn) clearLandingsBtn.addEventListener('click', clearLandings);
+
+    if (frameSelect) frameSelect.addEventListener('change', () => {
+        updateEquationPanel();
+        redraw();
+        updateShareUrl();
+    });
+
+    // View tools
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerUp);
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    if (scrubTimeInput) scrubTimeInput.addEventListener('input', scrubTo);
+    if (panToolBtn) panToolBtn.addEventListener('click', () => setViewTool('pan'));
+    if (rulerToolBtn) rulerToolBtn.addEventListener('click', () => setViewTool('ruler'));
+    if (protractorToolBtn) protractorToolBtn.addEventListener('click', () => setViewTool('protractor'));
+    if (zoomInBtn) zoomInBtn.addEventListener('click', () => zoomView(1.25));
+    if (zoomOutBtn) zoomOutBtn.addEventListener('click', () => zoomView(0.8));
+    if (fitAllBtn) fitAllBtn.addEventListener('click', fitView);
+
+    if (launchBtn) launchBtn.addEventListener('click', launch);
+    if (resetBtn) resetBtn.addEventListener('click', reset);
+    if (pauseBtn) pauseBtn.addEventListener('click', togglePause);
+    if (stepBtn) stepBtn.addEventListener('click', stepForward);
+    if (stepBackBtn) stepBackBtn.addEventListener('click', stepBackward);
+    if (replayBtn) replayBtn.addEventListener('click', replay);
+    if (addShotBtn) addShotBtn.addEventListener('click', addShot);
+    if (clearShotsBtn) clearShotsBtn.addEventListener('click', clearShots);
+    if (challengeModeSelect) challengeModeSelect.addEventListener('change', newTarget);
+    if (newTargetBtn) newTargetBtn.addEventListener('click', newTarget);
+    if (solveBtn) solveBtn.addEventListener('click', solveForTarget);
+
+    if (showDataTableCheck) showDataTableCheck.addEventListener('change', () => { dataPanel.hidden = !showDataTableCheck.checked; });
+    if (sampleIntervalNum) sampleIntervalNum.addEventListener('change', updateDataTable);
+    if (exportCsvBtn) exportCsvBtn.addEventListener('click', exportCSV);
+    if (exportJsonBtn) exportJsonBtn.addEventListener('click', exportJSON);
+
+    if (showGraphsCheck) showGraphsCheck.addEventListener('change', () => {
+        graphsPanel.hidden = !showGraphsCheck.checked;
+        drawGraphs();
+    });
+
+    if (showEnergyCheck) showEnergyCheck.addEventListener('change', () => {
+        energyPanel.hidden = !showEnergyCheck.checked;
+        updateEnergyPanel();
+    });
+
+    if (savePngBtn) savePngBtn.addEventListener('click', savePng);
+    if (saveSvgBtn) saveSvgBtn.addEventListener('click', saveSvg);
+    if (recordBtn) recordBtn.addEventListener('click', recordLaunch);
+
+    document.addEventListener('keydown', onKeyDown);
+    if (sonifyCheck) sonifyCheck.addEventListener('change', updateTone);
+
+    if (sweepParamSelect) sweepParamSelect.addEventListener('change', selectSweepParam);
+    if (runSweepBtn) runSweepBtn.addEventListener('click', runSweep);
+    if (clearSweepBtn) clearSweepBtn.addEventListener('click', clearSweep);
+    if (showSweepFamilyCheck) showSweepFamilyCheck.addEventListener('change', redraw);
+
+    if (runDispersionBtn) runDispersionBtn.addEventListener('click', runDispersion);
+    if (clearDispersionBtn) clearDispersionBtn.addEventListener('click', clearDispersion);
+    if (showDispersionBundleCheck) showDispersionBundleCheck.addEventListener('change', redraw);
+
+    if (importMeasuredBtn) importMeasuredBtn.addEventListener('click', () => measuredFile.click());
+    if (measuredFile) measuredFile.addEventListener('change', importMeasured);
+    if (fitBtn) fitBtn.addEventListener('click', runFit);
+    if (applyFitBtn) applyFitBtn.addEventListener('click', applyFit);
+    if (clearMeasuredBtn) clearMeasuredBtn.addEventListener('click', clearMeasured);
+
+    if (fitGraphs) {
+        const graphCanvas = document.createElement('canvas');
+        graphCanvas.width = GRAPH_WIDTH * 2 + 12;
+        graphCanvas.height = GRAPH_HEIGHT;
+        graphCanvas.setAttribute('aria-label', 'Fit residuals graph');
+        fitGraphs.append(graphCanvas);
+        fitContext = graphCanvas.getContext('2d');
+    }
+
+    if (dispersionGraphs) {
+        const graphCanvas = document.createElement('canvas');
+        graphCanvas.width = GRAPH_WIDTH * 2 + 12;
+        graphCanvas.height = GRAPH_HEIGHT;
+        graphCanvas.setAttribute('aria-label', 'Landing range histogram');
+        dispersionGraphs.append(graphCanvas);
+        dispersionContext = graphCanvas.getContext('2d');
+    }
+
+    SWEEP_GRAPHS.forEach(graph => {
+        const graphCanvas = document.createElement('canvas');
+        graphCanvas.width = GRAPH_WIDTH;
+        graphCanvas.height = GRAPH_HEIGHT;
+        graphCanvas.setAttribute('aria-label', graph.title + ' sweep graph');
+        sweepGraphs.append(graphCanvas);
+        sweepContexts[graph.id] = graphCanvas.getContext('2d');
+    });
+
+    // One small canvas per graph
+    GRAPHS.forEach(graph => {
+        const graphCanvas = document.createElement('canvas');
+        graphCanvas.width = GRAPH_WIDTH;
+        graphCanvas.height = GRAPH_HEIGHT;
+        graphCanvas.setAttribute('aria-label', graph.title + ' graph');
+        graphsPanel.append(graphCanvas);
+        graphContexts[graph.id] = graphCanvas.getContext('2d');
+    });
+
+    if (presetSelect) presetSelect.addEventListener('change', selectPreset);
+    if (savePresetBtn) savePresetBtn.addEventListener('click', savePreset);
+    if (deletePresetBtn) deletePresetBtn.addEventListener('click', deletePreset);
+    if (copyLinkBtn) copyLinkBtn.addEventListener('click', copyShareLink);
+    if (exportPresetsBtn) exportPresetsBtn.addEventListener('click', exportPresets);
+    if (importPresetsBtn) importPresetsBtn.addEventListener('click', () => importPresetsFile.click());
+    if (importPresetsFile) importPresetsFile.addEventListener('change', importPresets);
+
+    if (loadWorksheetBtn) loadWorksheetBtn.addEventListener('click', () => worksheetFile.click());
+    if (worksheetFile) worksheetFile.addEventListener('change', loadWorksheet);
+    if (worksheetPrevBtn) worksheetPrevBtn.addEventListener('click', () => enterWorksheetStep(worksheetProgress.step - 1));
+    if (worksheetNextBtn) worksheetNextBtn.addEventListener('click', () => enterWorksheetStep(worksheetProgress.step + 1));
+    if (worksheetReportBtn) worksheetReportBtn.addEventListener('click', exportWorksheetReport);
+    if (closeWorksheetBtn) closeWorksheetBtn.addEventListener('click', closeWorksheet);
+
+    // View toggles are part of the shared setup too
+    [showPredictionCheck, showVectorsCheck, showGhostCheck, showDataTableCheck, showGraphsCheck, showEnergyCheck].forEach(el => {
+        if (el) el.addEventListener('change', updateShareUrl);
+    });
+    [sampleIntervalNum, playbackSpeedSelect, stepSizeNum].forEach(el => {
+        if (el) el.addEventListener('change', updateShareUrl);
+    });
+
+    // A pasted link in the same tab only changes the hash
+    window.addEventListener('hashchange', () => applySetup(decodeSetup(location.hash, setupDefaults)));
+
+    // Preset library
+    presets = loadPresets(localStorage);
+    renderPresetOptions();
+
+    // Video clips need MediaRecorder; GIFs are encoded here and always work
+    if (recordFormatSelect && !canRecordWebm()) {
+        recordFormatSelect.querySelector('option[value="webm"]').disabled = true;
+        recordFormatSelect.value = 'gif';
+    }
 
-    // Initial Draw
-    updateSimulation();
+    // Initial Draw (restoring the setup from the link, if any)
+    setupDefaults = readSetup();
+    applySetup(decodeSetup(location.hash, setupDefaults));
 });
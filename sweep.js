@@ -0,0 +1,119 @@
+// --- PARAMETER SWEEP ---
+// Runs the engine across a range of one input and collects the stats of every run,
+// plus the launch angle with the longest range and the envelope of a family of
+// trajectories.
+
+import { simulate } from './physics.js';
+
+// Inputs that can be swept, with the range the controls allow
+export const SWEEP_PARAMS = {
+    angle: { label: 'Angle', unit: '°', min: 0, max: 90 },
+    v0: { label: 'Velocity', unit: 'm/s', min: 5, max: 100 },
+    h0: { label: 'Height', unit: 'm', min: 0, max: 500 },
+    g: { label: 'Gravity', unit: 'm/s²', min: 0.5, max: 30 }
+};
+
+export const MAX_SWEEP_STEPS = 200;
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Simulate `params` with `key` stepped evenly from `from` to `to` (inclusive).
+ * Returns `{ key, from, to, runs: [{ value, trajectory, maxRange, maxAltitude, totalFlightTime }] }`.
+ * Throws a RangeError for an unknown key or a step count outside 2..MAX_SWEEP_STEPS.
+ */
+export function sweepParameter(params, key, { from, to, steps }) {
+    if (!(key in SWEEP_PARAMS)) throw new RangeError(`Cannot sweep "${key}"`);
+    if (!Number.isFinite(from) || !Number.isFinite(to)) throw new RangeError('Sweep limits must be numbers');
+    if (!Number.isInteger(steps) || steps < 2 || steps > MAX_SWEEP_STEPS) {
+        throw new RangeError(`Sweep needs between 2 and ${MAX_SWEEP_STEPS} steps`);
+    }
+
+    const runs = [];
+    for (let i = 0; i < steps; i++) {
+        const value = from + (to - from) * i / (steps - 1);
+        const trajectory = simulate({ ...params, [key]: value });
+        const { maxRange, maxAltitude, totalFlightTime } = trajectory;
+        runs.push({ value, trajectory, maxRange, maxAltitude, totalFlightTime });
+    }
+    return { key, from, to, runs };
+}
+
+/**
+ * Launch angle (degrees, 0–90) that lands furthest at the fixed `params.v0`: `{ angle, range }`.
+ * 45° in a vacuum on flat ground, lower from a raised launcher or with drag.
+ * Scans whole degrees, then narrows down around the best one.
+ */
+export function optimumAngle(params, tolerance = 0.01) {
+    const rangeAt = angle => simulate({ ...params, angle }).maxRange;
+
+    let best = 0;
+    let bestRange = -Infinity;
+    for (let angle = 0; angle <= 90; angle++) {
+        const range = rangeAt(angle);
+        if (range > bestRange) {
+            best = angle;
+            bestRange = range;
+        }
+    }
+
+    // Golden-section search within a degree either side
+    let lo = Math.max(best - 1, 0);
+    let hi = Math.min(best + 1, 90);
+    let a = hi - GOLDEN * (hi - lo);
+    let b = lo + GOLDEN * (hi - lo);
+    let rangeA = rangeAt(a);
+    let rangeB = rangeAt(b);
+    while (hi - lo > tolerance) {
+        if (rangeA > rangeB) {
+            hi = b;
+            b = a;
+            rangeB = rangeA;
+            a = hi - GOLDEN * (hi - lo);
+            rangeA = rangeAt(a);
+        } else {
+            lo = a;
+            a = b;
+            rangeA = rangeB;
+            b = lo + GOLDEN * (hi - lo);
+            rangeB = rangeAt(b);
+        }
+    }
+
+    // Keep the refined angle even when its range comes out a hair under the whole degree's:
+    // with drag the landing point is interpolated, and that noise is smaller than the tolerance
+    const angle = (lo + hi) / 2;
+    return { angle, range: rangeAt(angle) };
+}
+
+/**
+ * Upper edge of a family of trajectories: the highest point any of them reaches
+ * above each of `samples + 1` evenly spaced x positions, as `[{ x, y }]`.
+ * For launch angles at a fixed speed in a vacuum this is the safety parabola.
+ */
+export function trajectoryEnvelope(trajectories, samples = 120) {
+    const reach = Math.max(...trajectories.map(traj => Math.max(...traj.points.map(pt => pt.x))));
+    if (!(reach > 0)) return [];
+
+    // Every segment raises the bins it spans, so loops and straight-up shots count too
+    const spacing = reach / samples;
+    const slack = spacing * 1e-6; // a 90° shot drifts off x = 0 by rounding alone
+    const tops = new Array(samples + 1).fill(-Infinity);
+    trajectories.forEach(traj => {
+        const pts = traj.points;
+        for (let i = 1; i < pts.length; i++) {
+            const a = pts[i - 1];
+            const b = pts[i];
+            const first = Math.max(Math.ceil((Math.min(a.x, b.x) - slack) / spacing), 0);
+            const last = Math.min(Math.floor((Math.max(a.x, b.x) + slack) / spacing), samples);
+            const vertical = Math.abs(b.x - a.x) <= slack;
+            for (let bin = first; bin <= last; bin++) {
+                const x = bin * spacing;
+                const y = vertical ? Math.max(a.y, b.y) : a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+                tops[bin] = Math.max(tops[bin], y);
+            }
+        }
+    });
+
+    return tops.map((y, bin) => ({ x: bin * spacing, y })).filter(pt => pt.y > -Infinity);
+}
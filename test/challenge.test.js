@@ -0,0 +1,36 @@
+// Random targets stay within reach of the setup they are made for.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveLaunchAngles } from '../physics.js';
+import { TARGET_TYPES, createTarget, aimPoint } from '../challenge.js';
+
+// Repeatable stand-in for Math.random (a small LCG)
+function seeded(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+const DRAG = { model: 'quadratic', mass: 0.45, cd: 0.47, area: 0.038, rho: 1.225 };
+
+test('targets with drag on can be hit at the top launch speed', () => {
+    const params = { v0: 60, angle: 45, g: 9.8, drag: DRAG };
+    const random = seeded(1);
+    for (const type of TARGET_TYPES) {
+        for (let i = 0; i < 3; i++) {
+            const target = createTarget(type, { maxX: 100, maxY: 40, maxV0: 100 }, params, random);
+            assert.ok(target, `${type} target`);
+            assert.ok(solveLaunchAngles({ ...params, v0: 100 }, aimPoint(target)), JSON.stringify(target));
+        }
+    }
+});
+
+test('null when nothing on screen is in reach', () => {
+    const params = { v0: 60, angle: 45, g: 9.8, drag: DRAG };
+    for (const type of TARGET_TYPES) {
+        assert.equal(createTarget(type, { maxX: 500, maxY: 100, maxV0: 10 }, params, seeded(2)), null);
+    }
+});
@@ -0,0 +1,62 @@
+// Perturbed launches and the statistics of where they land.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_DISPERSION_RUNS, perturbLaunches, simulateLaunches, summarize, histogram } from '../dispersion.js';
+
+// Repeatable stand-in for Math.random (a small LCG)
+function seeded(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+const PARAMS = { v0: 30, angle: 45, g: 9.8, h0: 0 };
+
+test('the same seed draws the same launches', () => {
+    const a = perturbLaunches(PARAMS, { v0: 1, angle: 2 }, 20, seeded(7));
+    const b = perturbLaunches(PARAMS, { v0: 1, angle: 2 }, 20, seeded(7));
+    assert.deepEqual(a, b);
+    assert.ok(a.every(launch => launch.h0 === 0), 'h0 has no tolerance, so it stays put');
+});
+
+test('drawn launches centre on the setup with the tolerance as their spread', () => {
+    const launches = perturbLaunches(PARAMS, { v0: 2 }, MAX_DISPERSION_RUNS, seeded(1));
+    const stats = summarize(launches.map(launch => launch.v0));
+    assert.ok(Math.abs(stats.mean - 30) < 0.15, `mean ${stats.mean}`);
+    assert.ok(Math.abs(stats.sd - 2) < 0.15, `sd ${stats.sd}`);
+});
+
+test('drawn values are clipped to what the engine takes', () => {
+    const launches = perturbLaunches({ v0: 1, angle: 89, h0: 0 }, { v0: 5, angle: 5, h0: 5 }, 200, seeded(3));
+    assert.ok(launches.every(l => l.v0 >= 0 && l.angle >= 0 && l.angle <= 90 && l.h0 >= 0));
+});
+
+test('perturbLaunches rejects a bad count or a negative tolerance', () => {
+    assert.throws(() => perturbLaunches(PARAMS, {}, 0), RangeError);
+    assert.throws(() => perturbLaunches(PARAMS, {}, MAX_DISPERSION_RUNS + 1), RangeError);
+    assert.throws(() => perturbLaunches(PARAMS, { angle: -1 }, 10), RangeError);
+});
+
+test('runs without trajectories keep the same numbers', () => {
+    const launches = perturbLaunches(PARAMS, { v0: 1 }, 5, seeded(11));
+    const full = simulateLaunches(PARAMS, launches);
+    const lean = simulateLaunches(PARAMS, launches, { trajectories: false });
+    assert.ok(full.every(run => run.trajectory));
+    assert.deepEqual(lean, full.map(({ trajectory, ...run }) => run));
+});
+
+test('summarize gives the sample statistics', () => {
+    assert.deepEqual(summarize([2, 4, 4, 4, 5, 5, 7, 9]), { n: 8, mean: 5, sd: Math.sqrt(32 / 7), min: 2, max: 9 });
+    assert.deepEqual(summarize([3]), { n: 1, mean: 3, sd: 0, min: 3, max: 3 });
+    assert.equal(summarize([]), null);
+});
+
+test('histogram counts every value once, the largest in the last bin', () => {
+    const result = histogram([0, 1, 2, 3, 4, 5, 6, 7, 8, 10], 5);
+    assert.deepEqual(result, { from: 0, to: 10, width: 2, counts: [2, 2, 2, 2, 2] });
+    assert.deepEqual(histogram([4, 4], 10), { from: 3.5, to: 4.5, width: 1, counts: [2] });
+    assert.throws(() => histogram([1], 0), RangeError);
+});
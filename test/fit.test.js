@@ -0,0 +1,39 @@
+// Fits to points sampled from the engine itself, where the answer is known.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate, stateAt } from '../physics.js';
+import { fitLaunch } from '../fit.js';
+
+const DRAG = { model: 'quadratic', mass: 0.05, cd: 0.3, area: 0.004 };
+
+function sample(params) {
+    const run = simulate(params);
+    const points = [];
+    for (let t = 0.1; t < run.totalFlightTime; t += 0.1) {
+        const s = stateAt(run, t);
+        points.push({ t, x: s.x, y: s.y });
+    }
+    return points;
+}
+
+test('recovers v0, the angle and Cd, with no Cd in the setup to start from', () => {
+    const points = sample({ v0: 30, angle: 40, g: 9.8, drag: DRAG });
+    const fit = fitLaunch({ v0: 20, angle: 30, g: 9.8, drag: { ...DRAG, cd: undefined } }, points, ['v0', 'angle', 'cd']);
+    assert.ok(fit.converged);
+    assert.ok(Math.abs(fit.values.v0 - 30) < 1e-6, `v0 ${fit.values.v0}`);
+    assert.ok(Math.abs(fit.values.angle - 40) < 1e-6, `angle ${fit.values.angle}`);
+    assert.ok(Math.abs(fit.values.cd - 0.3) < 1e-6, `cd ${fit.values.cd}`);
+});
+
+test('keeps Cd positive on points with no drag in them', () => {
+    const points = sample({ v0: 30, angle: 40, g: 9.8 }).map(pt => ({ ...pt, x: pt.x + 0.02 * Math.sin(7 * pt.t) }));
+    const fit = fitLaunch({ v0: 20, angle: 30, g: 9.8, drag: DRAG }, points, ['v0', 'angle', 'cd']);
+    assert.ok(fit.values.cd > 0, `cd ${fit.values.cd}`);
+    assert.ok(Number.isFinite(fit.rms));
+});
+
+test('a setup that only gives NaN is a failed fit, not a converged one', () => {
+    const points = sample({ v0: 30, angle: 40, g: 9.8 });
+    assert.throws(() => fitLaunch({ v0: 20, angle: 30, g: 9.8, drag: { ...DRAG, cd: NaN } }, points), RangeError);
+});
@@ -0,0 +1,174 @@
+// Engine results against the closed-form vacuum solution:
+// T = (vy + √(vy² + 2gh₀)) / g, range = vx·T, apex = h₀ + vy² / 2g.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate, stateAt, stateAtX, solveLaunchAngles, normalizeParams, MAX_ROLL_DISTANCE } from '../physics.js';
+
+function analytic({ v0, angle, g, h0 = 0 }) {
+    const rad = angle * Math.PI / 180;
+    const vx = v0 * Math.cos(rad);
+    const vy = v0 * Math.sin(rad);
+    const time = (vy + Math.sqrt(vy * vy + 2 * g * h0)) / g;
+    return { time, range: vx * time, apex: h0 + Math.max(vy, 0) ** 2 / (2 * g) };
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+test('matches the closed form from the ground', () => {
+    for (const angle of [15, 30, 45, 60, 75]) {
+        const params = { v0: 60, angle, g: 9.8, h0: 0 };
+        const run = simulate(params);
+        const exact = analytic(params);
+        assertClose(run.totalFlightTime, exact.time, 1e-9, `time at ${angle}°`);
+        assertClose(run.maxRange, exact.range, 1e-9, `range at ${angle}°`);
+        assertClose(run.maxAltitude, exact.apex, 1e-9, `apex at ${angle}°`);
+    }
+});
+
+test('45° from the ground gives the longest range, v²/g', () => {
+    const run = simulate({ v0: 60, angle: 45, g: 9.8, h0: 0 });
+    assertClose(run.maxRange, 60 * 60 / 9.8, 1e-9, 'range');
+});
+
+test('angle 0 from a height falls for √(2h₀/g)', () => {
+    const params = { v0: 20, angle: 0, g: 9.8, h0: 45 };
+    const run = simulate(params);
+    const time = Math.sqrt(2 * 45 / 9.8);
+    assertClose(run.totalFlightTime, time, 1e-9, 'time');
+    assertClose(run.maxRange, 20 * time, 1e-9, 'range');
+    assert.equal(run.maxAltitude, 45);
+});
+
+test('angle 0 from the ground lands at once', () => {
+    const run = simulate({ v0: 20, angle: 0, g: 9.8, h0: 0 });
+    assert.equal(run.totalFlightTime, 0);
+    assert.equal(run.maxRange, 0);
+});
+
+test('launched downward from a height takes the larger root of the impact quadratic', () => {
+    const params = { v0: 15, angle: -30, g: 9.8, h0: 20 };
+    const run = simulate(params);
+    const exact = analytic(params);
+    assertClose(run.totalFlightTime, exact.time, 1e-9, 'time');
+    assertClose(run.maxRange, exact.range, 1e-9, 'range');
+    assert.equal(run.maxAltitude, 20);
+});
+
+test('a very large h₀ still matches the closed form', () => {
+    const params = { v0: 50, angle: 30, g: 9.8, h0: 1e6 };
+    const run = simulate(params);
+    const exact = analytic(params);
+    assertClose(run.totalFlightTime, exact.time, 1e-6, 'time');
+    assertClose(run.maxRange, exact.range, 1e-6, 'range');
+    assertClose(run.maxAltitude, exact.apex, 1e-6, 'apex');
+    assert.equal(run.points[run.points.length - 1].y, 0);
+});
+
+test('stateAt follows the parabola between samples', () => {
+    const run = simulate({ v0: 30, angle: 50, g: 9.8, h0: 2 }, { dt: 0.1 });
+    const t = 1.234;
+    const vy = 30 * Math.sin(50 * Math.PI / 180);
+    const state = stateAt(run, t);
+    assertClose(state.y, 2 + vy * t - 4.9 * t * t, 1e-9, 'y');
+    assertClose(state.vy, vy - 9.8 * t, 1e-9, 'vy');
+});
+
+test('solveLaunchAngles returns both angles through a reachable point', () => {
+    const params = { v0: 30, angle: 0, g: 9.8, h0: 0 };
+    const target = { x: 50, y: 10 };
+    const angles = solveLaunchAngles(params, target);
+    assert.ok(angles.low < angles.high);
+    for (const angle of [angles.low, angles.high]) {
+        // y(x) = x tan θ − g x² / (2 v² cos² θ)
+        const rad = angle * Math.PI / 180;
+        const y = target.x * Math.tan(rad) - 9.8 * target.x ** 2 / (2 * 30 * 30 * Math.cos(rad) ** 2);
+        assertClose(y, target.y, 1e-9, `y at ${angle}°`);
+        assert.ok(stateAtX(simulate({ ...params, angle }), target.x), `reaches x at ${angle}°`);
+    }
+});
+
+test('solveLaunchAngles meets at 45° on the edge of reach (zero discriminant)', () => {
+    const angles = solveLaunchAngles({ v0: 30, angle: 0, g: 9.8 }, { x: 30 * 30 / 9.8, y: 0 });
+    assertClose(angles.low, 45, 1e-6, 'low');
+    assertClose(angles.high, 45, 1e-6, 'high');
+});
+
+test('solveLaunchAngles returns null out of reach (negative discriminant)', () => {
+    assert.equal(solveLaunchAngles({ v0: 30, angle: 0, g: 9.8 }, { x: 100, y: 0 }), null);
+    assert.equal(solveLaunchAngles({ v0: 30, angle: 0, g: 9.8 }, { x: 0, y: 50 }), null);
+});
+
+test('solveLaunchAngles aims through the point when the launch is turned sideways', () => {
+    const params = { v0: 30, angle: 0, azimuth: 40, g: 9.8 };
+    const target = { x: 50, y: 5 };
+    const angles = solveLaunchAngles(params, target);
+    for (const angle of [angles.low, angles.high]) {
+        // Only v0·cos θ·cos φ carries the shot downrange at azimuth φ
+        const rad = angle * Math.PI / 180;
+        const vx = 30 * Math.cos(rad) * Math.cos(40 * Math.PI / 180);
+        const t = target.x / vx;
+        assertClose(30 * Math.sin(rad) * t - 4.9 * t * t, target.y, 1e-3, `y at ${angle}°`);
+        assert.ok(stateAtX(simulate({ ...params, angle }), target.x), `reaches x at ${angle}°`);
+    }
+});
+
+test('solveLaunchAngles rejects a target behind the launcher', () => {
+    assert.throws(() => solveLaunchAngles({ v0: 30, angle: 0, g: 9.8 }, { x: -1, y: 0 }), RangeError);
+});
+
+test('a ball sliding down a slope steeper than friction holds is cut off, not landed', () => {
+    const params = { v0: 60, angle: 45, g: 9.8, terrain: { type: 'incline', angle: 20 } };
+    const sliding = simulate({ ...params, bounce: { restitution: 0.7, friction: 0.3, roll: true } });
+    assert.equal(sliding.settled, false);
+    assertClose(sliding.roll.distance, MAX_ROLL_DISTANCE, 1, 'roll distance');
+
+    // μ > tan 20° holds it
+    const held = simulate({ ...params, bounce: { restitution: 0.7, friction: 0.6, roll: true } });
+    assert.equal(held.settled, true);
+    assert.equal(held.points[held.points.length - 1].vx, 0);
+});
+
+test('normalizeParams fills in defaults', () => {
+    const p = normalizeParams({ v0: 10, angle: 30, g: 9.8 });
+    assert.equal(p.h0, 0);
+    assert.equal(p.azimuth, 0);
+    assert.equal(p.drag.model, 'none');
+    assert.deepEqual(p.terrain, { type: 'flat' });
+});
+
+test('normalizeParams takes drag with no air, as on the Moon', () => {
+    const run = simulate({ v0: 20, angle: 45, g: 1.62, drag: { model: 'quadratic', rho: 0 } });
+    assertClose(run.maxRange, 20 * 20 / 1.62, 1e-3, 'range');
+});
+
+test('normalizeParams rejects values the math cannot handle', () => {
+    const base = { v0: 10, angle: 30, g: 9.8 };
+    const invalid = [
+        { v0: -1 },
+        { v0: NaN },
+        { angle: Infinity },
+        { g: 0 },
+        { g: -9.8 },
+        { h0: -1 },
+        { drag: { model: 'cubic' } },
+        { drag: { model: 'quadratic', mass: 0 } },
+        { drag: { model: 'quadratic', cd: -0.5 } },
+        { drag: { model: 'linear', area: 0 } },
+        { drag: { model: 'quadratic', rho: -1 } },
+        { drag: { model: 'quadratic', cd: Infinity } },
+        { wind: { vx: NaN } },
+        { field: { ay: 9.8 } },
+        { spin: { rate: NaN } },
+        { terrain: { type: 'crater' } },
+        { terrain: { type: 'incline', angle: 90 } },
+        { bounce: { restitution: 1.5 } },
+        { bounce: { restitution: 0.5, friction: -1 } },
+        { bounce: { restitution: 0.5, friction: 0, roll: true } }
+    ];
+    for (const change of invalid) {
+        assert.throws(() => normalizeParams({ ...base, ...change }), RangeError, JSON.stringify(change));
+    }
+});
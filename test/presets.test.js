@@ -0,0 +1,59 @@
+// Setups through share links, the preset library and preset files.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PRESET_STORAGE_KEY, encodeSetup, decodeSetup, loadPresets, savePresets, upsertPreset,
+    presetsToJSON, parsePresetFile
+} from '../presets.js';
+
+const DEFAULTS = { angle: 45, v0: 60, drag: 'none', ghost: false, cd: 0.47 };
+
+// Storage-like object backed by a Map
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('a setup survives the round trip through a share link', () => {
+    const setup = { angle: 30.5, v0: 60, drag: 'quadratic', ghost: true, cd: 0.25 };
+    const hash = encodeSetup(setup, DEFAULTS);
+    assert.equal(hash, 'angle=30.5&drag=quadratic&ghost=1&cd=0.25');
+    assert.deepEqual({ ...DEFAULTS, ...decodeSetup('#' + hash, DEFAULTS) }, setup);
+});
+
+test('the default setup encodes to an empty hash', () => {
+    assert.equal(encodeSetup(DEFAULTS, DEFAULTS), '');
+    assert.deepEqual(decodeSetup('', DEFAULTS), {});
+});
+
+test('decoding drops unknown keys and values of the wrong type', () => {
+    assert.deepEqual(decodeSetup('angle=abc&v0=12&ghost=maybe&color=red', DEFAULTS), { v0: 12 });
+});
+
+test('the preset library is kept sorted by name and replaces by name', () => {
+    let presets = upsertPreset([], 'Lob', { angle: 70 });
+    presets = upsertPreset(presets, 'Flat', { angle: 10 });
+    presets = upsertPreset(presets, 'Lob', { angle: 75 });
+    assert.deepEqual(presets, [{ name: 'Flat', setup: { angle: 10 } }, { name: 'Lob', setup: { angle: 75 } }]);
+
+    const storage = memoryStorage();
+    savePresets(storage, presets);
+    assert.deepEqual(loadPresets(storage), presets);
+});
+
+test('an unreadable library loads as empty', () => {
+    const storage = memoryStorage();
+    storage.setItem(PRESET_STORAGE_KEY, '{not json');
+    assert.deepEqual(loadPresets(storage), []);
+});
+
+test('an exported preset file reads back, cleaned against the defaults', () => {
+    const presets = [{ name: 'Lob', setup: { angle: 75, color: 'red', v0: '40' } }];
+    assert.deepEqual(parsePresetFile(presetsToJSON(presets), DEFAULTS), [{ name: 'Lob', setup: { angle: 75, v0: 40 } }]);
+    assert.throws(() => parsePresetFile('[]', DEFAULTS), TypeError);
+    assert.throws(() => parsePresetFile('nope', DEFAULTS), TypeError);
+});
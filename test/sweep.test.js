@@ -0,0 +1,29 @@
+// The best launch angle against the closed form and a brute-force scan.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../physics.js';
+import { optimumAngle } from '../sweep.js';
+
+test('45° from the ground in a vacuum', () => {
+    const best = optimumAngle({ v0: 20, g: 9.8 });
+    assert.ok(Math.abs(best.angle - 45) <= 0.01, `angle ${best.angle}`);
+});
+
+test('below 45° from a height, as θ = atan(v / √(v² + 2gh₀))', () => {
+    const best = optimumAngle({ v0: 20, g: 9.8, h0: 30 });
+    const exact = Math.atan(20 / Math.sqrt(20 * 20 + 2 * 9.8 * 30)) * 180 / Math.PI;
+    assert.ok(Math.abs(best.angle - exact) <= 0.01, `angle ${best.angle}, expected ${exact}`);
+});
+
+test('with drag, returns the refined angle rather than the best whole degree', () => {
+    const params = { v0: 30, g: 9.8, drag: { model: 'quadratic', mass: 0.45, cd: 0.47, area: 0.038 } };
+    let scan = { angle: 0, range: -Infinity };
+    for (let angle = 36; angle <= 40; angle += 0.001) {
+        const range = simulate({ ...params, angle }).maxRange;
+        if (range > scan.range) scan = { angle, range };
+    }
+    const best = optimumAngle(params);
+    assert.ok(Math.abs(best.angle - scan.angle) <= 0.01, `angle ${best.angle}, scan ${scan.angle}`);
+    assert.notEqual(best.angle, Math.round(best.angle));
+});
@@ -0,0 +1,76 @@
+// Worksheet parsing, answer grading and progress.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseWorksheet, questionStats, checkAnswer, recordAnswer, isQuestionOpen, worksheetScore
+} from '../worksheet.js';
+
+const DEFAULTS = { angle: 45, v0: 60, drag: 'none' };
+
+function worksheetWith(questions, setup = { angle: 20, v0: 20 }) {
+    return parseWorksheet(JSON.stringify({ title: 'Test', steps: [{ setup, questions }] }), DEFAULTS);
+}
+
+test('questions get an id, the default tolerance and the setup as their target', () => {
+    const [question] = worksheetWith([{ prompt: 'Range?', quantity: 'range' }]).steps[0].questions;
+    assert.deepEqual(question, { id: 's1q1', prompt: 'Range?', quantity: 'range', tolerance: 0.05, predict: false, at: 'setup' });
+});
+
+test('a worksheet that cannot be graded is rejected', () => {
+    const invalid = [
+        'nope',
+        JSON.stringify({ steps: [] }),
+        JSON.stringify({ title: 'T', steps: [] }),
+        JSON.stringify({ title: 'T', steps: [{ questions: [{ prompt: 'p', quantity: 'speed' }] }] }),
+        JSON.stringify({ title: 'T', steps: [{ questions: [{ prompt: 'p', quantity: 'range', tolerance: 0 }] }] }),
+        JSON.stringify({ title: 'T', steps: [{ questions: [{ prompt: 'p', quantity: 'range', at: 'apex' }] }] }),
+        JSON.stringify({ title: 'T', steps: [{ questions: [{ id: 'a', prompt: 'p', quantity: 'range' }, { id: 'a', prompt: 'q', quantity: 'range' }] }] })
+    ];
+    for (const text of invalid) {
+        assert.throws(() => parseWorksheet(text, DEFAULTS), TypeError, text);
+    }
+});
+
+test('an answer is correct within the tolerance as a fraction of the simulated value', () => {
+    const question = { quantity: 'range', tolerance: 0.05 };
+    const stats = { maxRange: 100, maxAltitude: 20, totalFlightTime: 4 };
+    assert.equal(checkAnswer(question, 104.9, stats).correct, true);
+    assert.equal(checkAnswer(question, 94, stats).correct, false);
+    assert.deepEqual(checkAnswer(question, 90, stats), { value: 90, expected: 100, error: -0.1, correct: false });
+    assert.equal(checkAnswer({ quantity: 'flightTime', tolerance: 0.01 }, 4.03, stats).correct, true);
+});
+
+test('an at: optimum question is graded at the best angle, not the one on the controls', () => {
+    const params = { v0: 20, angle: 20, g: 9.8 };
+    const [here, best] = worksheetWith([
+        { prompt: 'This shot?', quantity: 'range' },
+        { prompt: 'Longest range?', quantity: 'range', at: 'optimum' }
+    ]).steps[0].questions;
+
+    const atSetup = questionStats(here, params).maxRange;
+    assert.ok(Math.abs(atSetup - 400 * Math.sin(40 * Math.PI / 180) / 9.8) < 1e-9, `range ${atSetup}`);
+    assert.ok(Math.abs(questionStats(best, params).maxRange - 400 / 9.8) < 1e-6);
+    assert.equal(checkAnswer(best, 40.8, questionStats(best, params)).correct, true);
+    assert.equal(checkAnswer(best, atSetup, questionStats(best, params)).correct, false);
+});
+
+test('predictions close on launch, other questions stay open until right', () => {
+    const { steps } = worksheetWith([
+        { id: 'guess', prompt: 'Predict', quantity: 'range', predict: true },
+        { id: 'read', prompt: 'Read', quantity: 'range' }
+    ]);
+    const [guess, read] = steps[0].questions;
+    let progress = { step: 0, answers: {}, launched: [] };
+    assert.equal(isQuestionOpen(guess, 0, { ...progress, launched: [0] }), false);
+
+    progress = recordAnswer(progress, read, { correct: false });
+    assert.equal(isQuestionOpen(read, 0, progress), true);
+    progress = recordAnswer(progress, read, { correct: true });
+    assert.equal(isQuestionOpen(read, 0, progress), false);
+    assert.equal(progress.answers.read.attempts, 2);
+
+    progress = recordAnswer(progress, guess, { correct: false });
+    assert.equal(isQuestionOpen(guess, 0, progress), false);
+    assert.deepEqual(worksheetScore({ steps }, progress), { total: 2, answered: 2, correct: 1 });
+});
@@ -0,0 +1,176 @@
+// --- LAB WORKSHEETS ---
+// A worksheet is a JSON file of ordered steps. Each step presets (and can lock)
+// setup values and asks numeric questions that are checked against the simulated
+// stats. Also keeps per-worksheet progress in a Storage-like object and writes the
+// summary report.
+
+import { simulate } from './physics.js';
+import { optimumAngle } from './sweep.js';
+import { cleanSetup } from './presets.js';
+
+export const WORKSHEET_STORAGE_KEY = 'projectile-lab-worksheets';
+
+// Quantities a question can ask for -> the stat it is checked against
+export const WORKSHEET_QUANTITIES = {
+    range: { label: 'Range', unit: 'm', stat: 'maxRange' },
+    maxHeight: { label: 'Max height', unit: 'm', stat: 'maxAltitude' },
+    flightTime: { label: 'Flight time', unit: 's', stat: 'totalFlightTime' }
+};
+
+// Which run a question is checked against: the setup on the controls, or the same
+// setup at the launch angle with the longest range
+export const WORKSHEET_TARGETS = ['setup', 'optimum'];
+
+const DEFAULT_TOLERANCE = 0.05;
+
+/**
+ * Worksheet from a JSON file, with each step's setup cleaned against `defaults` and
+ * every question given an id and a tolerance. Throws a TypeError when the text is
+ * not a usable worksheet.
+ */
+export function parseWorksheet(text, defaults) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new TypeError('Worksheet is not valid JSON');
+    }
+    if (!data || typeof data.title !== 'string' || data.title.trim() === '') {
+        throw new TypeError('Worksheet has no "title"');
+    }
+    if (!Array.isArray(data.steps) || data.steps.length === 0) throw new TypeError('Worksheet has no "steps"');
+
+    const ids = new Set();
+    const steps = data.steps.map((step, s) => {
+        if (!step || typeof step !== 'object') throw new TypeError(`Step ${s + 1} is not an object`);
+        const setup = cleanSetup(step.setup && typeof step.setup === 'object' ? step.setup : {}, defaults);
+        const locked = Array.isArray(step.locked) ? step.locked.filter(key => key in defaults) : [];
+
+        const questions = (Array.isArray(step.questions) ? step.questions : []).map((question, q) => {
+            const where = `Step ${s + 1}, question ${q + 1}`;
+            if (!question || typeof question.prompt !== 'string') throw new TypeError(`${where} has no "prompt"`);
+            if (!(question.quantity in WORKSHEET_QUANTITIES)) {
+                throw new TypeError(`${where} asks for an unknown quantity "${question.quantity}"`);
+            }
+            const id = typeof question.id === 'string' && question.id !== '' ? question.id : `s${s + 1}q${q + 1}`;
+            if (ids.has(id)) throw new TypeError(`${where} reuses the id "${id}"`);
+            ids.add(id);
+
+            const tolerance = question.tolerance ?? DEFAULT_TOLERANCE;
+            if (!(tolerance > 0)) throw new TypeError(`${where} needs a tolerance above 0`);
+            const at = question.at ?? 'setup';
+            if (!WORKSHEET_TARGETS.includes(at)) throw new TypeError(`${where} is checked at an unknown "${at}"`);
+            return { id, prompt: question.prompt, quantity: question.quantity, tolerance, predict: question.predict === true, at };
+        });
+
+        return {
+            title: typeof step.title === 'string' ? step.title : `Step ${s + 1}`,
+            instructions: typeof step.instructions === 'string' ? step.instructions : '',
+            setup,
+            locked,
+            questions
+        };
+    });
+
+    return { id: typeof data.id === 'string' && data.id !== '' ? data.id : data.title, title: data.title, steps };
+}
+
+/**
+ * Stats a question is checked against for the engine `params`: `{ maxAltitude, maxRange,
+ * totalFlightTime }` of that run, or of the same setup at the launch angle with the
+ * longest range for an `at: 'optimum'` question.
+ */
+export function questionStats(question, params) {
+    const angle = question.at === 'optimum' ? optimumAngle(params).angle : params.angle;
+    const { maxAltitude, maxRange, totalFlightTime } = simulate({ ...params, angle });
+    return { maxAltitude, maxRange, totalFlightTime };
+}
+
+/**
+ * Check a numeric answer against `stats` (as returned by questionStats).
+ * The tolerance is a fraction of the simulated value. Returns `{ value, expected, error, correct }`,
+ * where `error` is the signed relative error.
+ */
+export function checkAnswer(question, value, stats) {
+    const expected = stats[WORKSHEET_QUANTITIES[question.quantity].stat];
+    const error = expected !== 0 ? (value - expected) / Math.abs(expected) : (value === 0 ? 0 : Infinity);
+    return { value, expected, error, correct: Math.abs(error) <= question.tolerance };
+}
+
+// Saved progress for a worksheet: { step, answers: { [questionId]: result }, launched: [stepIndex] }
+export function loadProgress(storage, worksheet) {
+    const fresh = { step: 0, answers: {}, launched: [] };
+    try {
+        const saved = (JSON.parse(storage.getItem(WORKSHEET_STORAGE_KEY)) || {})[worksheet.id];
+        if (!saved || typeof saved !== 'object') return fresh;
+        return {
+            step: Number.isInteger(saved.step) ? Math.min(Math.max(saved.step, 0), worksheet.steps.length - 1) : 0,
+            answers: saved.answers && typeof saved.answers === 'object' ? saved.answers : {},
+            launched: Array.isArray(saved.launched) ? saved.launched : []
+        };
+    } catch {
+        return fresh;
+    }
+}
+
+export function saveProgress(storage, worksheet, progress) {
+    let all;
+    try {
+        all = JSON.parse(storage.getItem(WORKSHEET_STORAGE_KEY)) || {};
+    } catch {
+        all = {};
+    }
+    all[worksheet.id] = progress;
+    storage.setItem(WORKSHEET_STORAGE_KEY, JSON.stringify(all));
+}
+
+// Progress with a checked answer stored (counting attempts at the question)
+export function recordAnswer(progress, question, result) {
+    const previous = progress.answers[question.id];
+    const attempts = (previous ? previous.attempts : 0) + 1;
+    return { ...progress, answers: { ...progress.answers, [question.id]: { ...result, attempts } } };
+}
+
+// Prediction questions close once the step has been launched
+export function isQuestionOpen(question, stepIndex, progress) {
+    const answer = progress.answers[question.id];
+    if (question.predict) return !answer && !progress.launched.includes(stepIndex);
+    return !answer || !answer.correct;
+}
+
+export function worksheetScore(worksheet, progress) {
+    const questions = worksheet.steps.flatMap(step => step.questions);
+    const answers = questions.map(question => progress.answers[question.id]).filter(Boolean);
+    return { total: questions.length, answered: answers.length, correct: answers.filter(a => a.correct).length };
+}
+
+// Plain-text summary of every answer, for handing in
+export function worksheetReport(worksheet, progress, date = new Date()) {
+    const score = worksheetScore(worksheet, progress);
+    const lines = [
+        worksheet.title,
+        `Exported ${date.toLocaleString()}`,
+        `Score: ${score.correct} / ${score.total} correct (${score.answered} answered)`,
+        ''
+    ];
+
+    worksheet.steps.forEach((step, s) => {
+        lines.push(`Step ${s + 1}: ${step.title}`);
+        step.questions.forEach(question => {
+            const { unit } = WORKSHEET_QUANTITIES[question.quantity];
+            const answer = progress.answers[question.id];
+            lines.push(`  ${question.prompt}${question.predict ? ' (prediction)' : ''}`);
+            if (!answer) {
+                lines.push(question.predict && progress.launched.includes(s)
+                    ? '    Not answered before launch'
+                    : '    Not answered');
+                return;
+            }
+            lines.push(`    Answer ${answer.value} ${unit}, simulated ${answer.expected.toFixed(2)} ${unit}, ` +
+                `off by ${(Math.abs(answer.error) * 100).toFixed(1)}% (within ${(question.tolerance * 100).toFixed(0)}%): ` +
+                `${answer.correct ? 'correct' : 'incorrect'}, ${answer.attempts} attempt${answer.attempts === 1 ? '' : 's'}`);
+        });
+        lines.push('');
+    });
+    return lines.join('\n');
+}